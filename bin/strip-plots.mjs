@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+/**
+ * Writes strip plot reports for an INTERPRET NTA results workbook from the command line, for batch qNTA pipelines
+ * that can't open a browser. Each -o writes one output, chosen by its extension: a static .svg of the strip plot, a
+ * self-contained interactive .html page, or a .json or .csv summary of each chemical's statistics. Without -o, the
+ * .html page and .json summary are written next to the workbook.
+ *
+ *   node bin/strip-plots.mjs report input.xlsx --mode - --sort rt -o out.html -o out.svg -o stats.csv
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import { createRequire } from "node:module";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import {
+  modes, sortKeys, sortOptions, colorblindSafePalette, rfTransforms, outlierRules, readInterpretOutputXLSX,
+  getDefaultSheetName, getSheetData, validateData, cleanData, calculateMedianLogRFs, sortPoints, getPointsData,
+  flagOutliers, compareModes, summarizeChemicals, getBaseChemicalName, toCSV, guessColumnMapping, getUnmappedFields,
+  applyColumnMapping
+} from "../js/stripPlotData.js";
+
+// the data module uses the same d3 and XLSX globals as the browser, so load the vendored builds onto globalThis
+const require = createRequire(import.meta.url);
+globalThis.d3 = require("../js/d3.v7.min.js");
+globalThis.XLSX = require("../js/xlsx.core.min.js");
+
+// the command line plots a single dataset, so there is no shift between datasets to sort by, and no custom order
+const cliSortKeys = sortKeys.filter(sortKey => sortKey !== "shift" && sortKey !== "custom");
+
+const usage = `Usage: strip-plots report <workbook> [options]
+
+Options:
+  --sheet <name>        The sheet to plot, the first sheet whose columns can be mapped by default
+  --columns <file>      A JSON column mapping, guessed from the column names by default
+  --mode <+|-|both>     The ionization mode to plot (default +)
+  --sort <key>          The sort key, one of ${cliSortKeys.join(", ")} (default ml)
+  --order <asc|desc>    The sort order, the sort key's default if not given
+  --transform <ln|log10|linear>
+                        The transform applied to the RF values (default ln)
+  --outliers <rule>     The outlier rule, one of ${Object.keys(outlierRules).join(", ")} (default iqr)
+  --threshold <value>   The k or alpha value for the outlier rule
+  -o, --out <file>      A file to write, .svg, .html, .json or .csv (may be repeated)
+  -h, --help            Show this help`;
+
+/**
+ * Escapes text for use in SVG or HTML markup.
+ * @param {*} value The value to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeXML(value) {
+  return String(value)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+/**
+ * Checks an option against the values it accepts.
+ * @param {string} name The option name.
+ * @param {string} value The option value.
+ * @param {string[]} allowed The accepted values.
+ * @returns {string} The value.
+ */
+function checkOption(name, value, allowed) {
+  if (!allowed.includes(value)) {
+    throw new Error(`Invalid --${name} "${value}", expected one of ${allowed.map(v => `"${v}"`).join(", ")}`);
+  }
+  return value;
+}
+
+/**
+ * Draws the points as a static SVG strip plot, laid out like the interactive plot: one row per chemical, split into
+ * ESI+ and ESI- sub-rows when both modes are plotted. Each point has a title, which most viewers show on hover.
+ * @param {object[]} pointsData The points, as returned by getPointsData, with outliers flagged.
+ * @param {object[]} data The cleaned data the points came from, used to compare the modes.
+ * @param {{mode: string, transform: string, title: string}} options The mode and transform plotted, and a title.
+ * @returns {string} The SVG markup.
+ */
+function renderStaticSVG(pointsData, data, { mode, transform, title }) {
+  const bothModes = mode === "both";
+  const getRowName = bothModes ? d => d.baseChemical : d => d.chemical;
+  const rowNames = [...new Set(pointsData.map(getRowName))];
+  const margin = { top: 70, right: bothModes ? 90 : 20, bottom: 20, left: 250 };
+  const svgWidth = 750;
+  const rowHeight = bothModes ? 50 : 35;
+  const svgHeight = margin.top + Math.max(rowNames.length, 2) * rowHeight + margin.bottom;
+  const axisTitle = rfTransforms[transform].title;
+
+  const [ xMin, xMax ] = d3.extent(pointsData, d => d.logRF);
+  const xPadding = (xMax - xMin || 1) * 0.03;
+  const xLow = transform === "linear" && xMin >= 0 ? Math.max(0, xMin - xPadding) : xMin - xPadding;
+  const xScale = d3.scaleLinear()
+    .domain([xLow, xMax + xPadding])
+    .range([margin.left, svgWidth - margin.right])
+    .nice();
+  // plain or exponent notation, since SI prefixes would label an RF of 0.5 as "500m"
+  const xTickFormat = transform === "linear" ? d3.format("~g") : xScale.tickFormat(8);
+  const yScale = d3.scaleBand()
+    .domain(rowNames)
+    .range([margin.top, svgHeight - margin.bottom])
+    .padding(0.5);
+  const subRowOffset = yScale.step() / 5;
+  const getRowCenter = (name, pointMode) => yScale(name) + yScale.bandwidth() / 2
+    + (bothModes ? (pointMode === "ESI+" ? -subRowOffset : subRowOffset) : 0);
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" `
+    + `viewBox="0 0 ${svgWidth} ${svgHeight}" font-family="sans-serif">`);
+  parts.push(`<rect width="${svgWidth}" height="${svgHeight}" fill="white"/>`);
+  parts.push(`<text x="${svgWidth / 2}" y="20" text-anchor="middle" font-size="16" font-weight="bold">`
+    + `${escapeXML(title)}</text>`);
+  parts.push(`<text x="${(svgWidth + margin.left) / 2}" y="${margin.top - 35}" text-anchor="middle" font-size="14" `
+    + `font-weight="bold">${escapeXML(axisTitle)}</text>`);
+
+  // grid lines and the top axis
+  xScale.ticks(8).forEach(tick => {
+    const x = xScale(tick);
+    parts.push(`<line x1="${x}" x2="${x}" y1="${margin.top}" y2="${svgHeight - margin.bottom}" stroke="#ddd"/>`);
+    parts.push(`<text x="${x}" y="${margin.top - 8}" text-anchor="middle" font-size="12">`
+      + `${escapeXML(xTickFormat(tick))}</text>`);
+  });
+  parts.push(`<rect x="${margin.left}" y="${margin.top}" width="${svgWidth - margin.left - margin.right}" `
+    + `height="${svgHeight - margin.top - margin.bottom}" fill="none" stroke="black"/>`);
+
+  // the chemical labels and row lines, with the difference in median between the modes when both are plotted
+  const modeComparison = bothModes ? compareModes(data) : null;
+  rowNames.forEach(name => {
+    const y = yScale(name) + yScale.bandwidth() / 2;
+    parts.push(`<text x="${margin.left - 8}" y="${y}" dy="0.35em" text-anchor="end" font-size="13">`
+      + `${escapeXML(name)}</text>`);
+    (bothModes ? ["ESI+", "ESI-"] : [null]).forEach(pointMode => {
+      const rowY = getRowCenter(name, pointMode);
+      parts.push(`<line x1="${margin.left}" x2="${svgWidth - margin.right}" y1="${rowY}" y2="${rowY}" stroke="#ddd"`
+        + `${pointMode === "ESI-" ? ' stroke-dasharray="4 3"' : ""}/>`);
+    });
+    if (bothModes) {
+      const difference = modeComparison.get(name)?.difference;
+      parts.push(`<text x="${svgWidth - 4}" y="${y}" dy="0.35em" text-anchor="end" font-size="12">`
+        + `${difference === null || difference === undefined ? "–" : d3.format("+.2f")(difference)}</text>`);
+    }
+  });
+  if (bothModes) {
+    parts.push(`<text x="${svgWidth - 4}" y="${margin.top - 8}" text-anchor="end" font-size="12" `
+      + `font-weight="bold">Δ median</text>`);
+  }
+
+  // the points, outlined in red when they are flagged as outliers
+  pointsData.forEach(d => {
+    const pointTitle = `${getBaseChemicalName(d.chemical)} (${d.mode}), ${d.sampleName}: ${axisTitle} `
+      + `${d.logRF.toFixed(2)}${d.outlier ? `, outlier by ${d.outlier}` : ""}`;
+    parts.push(`<circle cx="${xScale(d.logRF)}" cy="${getRowCenter(getRowName(d), d.mode)}" r="6" fill="${d.color}" `
+      + `fill-opacity="0.6" stroke="${d.outlier ? "#cc0000" : "black"}" stroke-width="${d.outlier ? 3 : 1}">`
+      + `<title>${escapeXML(pointTitle)}</title></circle>`);
+  });
+
+  parts.push("</svg>");
+  return parts.join("\n");
+}
+
+/**
+ * Builds a standalone HTML page holding the interactive strip plot, with the vendored libraries, the strip plot
+ * modules and the sheet's rows inlined so the page works offline and without a server.
+ * @param {object[]} rows The rows of the results sheet, before validation.
+ * @param {{name: string, mode: string, sort: string, sortOrder: string, transform: string, title: string}} options
+ * The dataset name used for saved exclusions and exported files, the initial view, and the page title.
+ * @returns {Promise<string>} The HTML.
+ */
+async function renderReportHTML(rows, { name, mode, sort, sortOrder, transform, title }) {
+  const readScript = fileName => readFile(new URL(`../js/${fileName}`, import.meta.url), "utf8");
+  const [ xlsxScript, d3Script, dataModule, plotModule ] = await Promise.all([
+    readScript("xlsx.core.min.js"),
+    readScript("d3.v7.min.js"),
+    readScript("stripPlotData.js"),
+    readScript("stripPlots.js")
+  ]);
+  // the two modules share one inline module script, so drop the import between them and the data module's exports
+  const moduleScript = [
+    dataModule.replace(/^export /gm, ""),
+    plotModule.replace(/^import \{[^}]*\} from "\.\/stripPlotData\.js";\r?\n/m, "").replace(/^export /gm, "")
+  ].join("\n");
+  const options = JSON.stringify({ name, mode, sort, sortOrder, transform });
+  // keep a "</script>" inside the inlined code or data from closing its script element
+  const inline = code => code.replaceAll("</script", "<\\/script");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeXML(title)}</title>
+</head>
+<body>
+
+  <div id="strip-plots-container"></div>
+
+</body>
+
+<script>${inline(xlsxScript)}</script>
+<script>${inline(d3Script)}</script>
+<script type="module">
+${inline(moduleScript)}
+
+createStripPlot(
+  document.getElementById("strip-plots-container"),
+  ${inline(JSON.stringify(rows))},
+  ${inline(options)}
+);
+</script>
+
+</html>
+`;
+}
+
+/**
+ * Reads a workbook and writes the requested reports.
+ * @param {string} inputPath The path of the workbook.
+ * @param {object} values The parsed command line options.
+ */
+async function report(inputPath, values) {
+  const mode = checkOption("mode", values.mode ?? "+", modes);
+  const sort = checkOption("sort", values.sort ?? "ml", cliSortKeys);
+  const sortOrder = checkOption("order", values.order ?? sortOptions[sort].defaultOrder, ["asc", "desc"]);
+  const transform = checkOption("transform", values.transform ?? "ln", Object.keys(rfTransforms));
+  const outlierRule = checkOption("outliers", values.outliers ?? "iqr", Object.keys(outlierRules));
+  const threshold = values.threshold === undefined
+    ? outlierRules[outlierRule].defaultThreshold
+    : Number(values.threshold);
+  if (outlierRules[outlierRule].test && !(threshold > 0)) {
+    throw new Error(`Invalid --threshold "${values.threshold}", expected a positive number`);
+  }
+
+  const fileName = path.basename(inputPath);
+  const workbook = await readInterpretOutputXLSX(new File([await readFile(inputPath)], fileName));
+  const sheetName = values.sheet ?? getDefaultSheetName(workbook);
+  if (!workbook.SheetNames.includes(sheetName)) {
+    throw new Error(`No sheet named "${sheetName}" in ${fileName}, the sheets are ${workbook.SheetNames.join(", ")}`);
+  }
+
+  // map the columns onto a results sheet, as the column mapping panel does in the browser
+  const sheetRows = getSheetData(workbook, sheetName);
+  const colNames = [...new Set(sheetRows.flatMap(row => Object.keys(row)))];
+  const mapping = values.columns === undefined
+    ? guessColumnMapping(colNames)
+    : { ...guessColumnMapping(colNames), ...JSON.parse(await readFile(values.columns, "utf8")) };
+  const unmappedFields = getUnmappedFields(mapping, colNames);
+  if (unmappedFields.length > 0) {
+    throw new Error(`Could not find the ${unmappedFields.join(", ")} column(s) of "${sheetName}", pass a mapping `
+      + `with --columns. The columns are ${colNames.join(", ")}`);
+  }
+
+  // report what validation dropped, as the problems panel does in the browser. Cleaning modifies the rows, so the
+  // HTML page gets the originals to validate and clean for itself
+  const rows = applyColumnMapping(sheetRows, mapping);
+  const validation = validateData(rows.map(row => ({ ...row })));
+  if (validation.missingColumns.length > 0) {
+    throw new Error(`The sheet "${sheetName}" is missing the columns ${validation.missingColumns.join(", ")}`);
+  }
+  const nDroppedRows = validation.problems.filter(problem => problem.dropped === "row").length;
+  const nDroppedPoints = validation.problems.length - nDroppedRows;
+  if (validation.problems.length > 0) {
+    console.warn(`Dropped ${nDroppedRows} row(s) and ${nDroppedPoints} point(s) with missing or invalid values`);
+  }
+
+  const data = cleanData(validation.data, transform);
+  calculateMedianLogRFs(data);
+  const pointsData = flagOutliers(getPointsData(data, mode), outlierRule, threshold);
+  if (pointsData.length === 0) {
+    throw new Error(`No valid ${mode === "both" ? "" : `ESI${mode} `}data to plot in "${sheetName}"`);
+  }
+  sortPoints(pointsData, sort, {
+    descending: sortOrder === "desc",
+    getRowName: mode === "both" ? d => d.baseChemical : d => d.chemical,
+    transform
+  });
+  // color the chemicals in turn in their sorted order, so neighboring rows differ as they do in the browser
+  const chemicals = [...new Set(pointsData.map(d => d.chemical))];
+  const chemicalIndex = new Map(chemicals.map((chemical, i) => [chemical, i]));
+  pointsData.forEach(d => {
+    d.color = colorblindSafePalette[chemicalIndex.get(d.chemical) % colorblindSafePalette.length];
+  });
+
+  const baseName = fileName.replace(/\.[^.]+$/, "");
+  const modeName = mode === "both" ? "ESI+-" : `ESI${mode}`;
+  const title = `${baseName}, ${sheetName}, ${modeName}`;
+  const outPaths = values.out ?? [".html", ".json"].map(extension => {
+    return path.join(path.dirname(inputPath), `${baseName}_${modeName}_strip_plot${extension}`);
+  });
+
+  for (const outPath of outPaths) {
+    const extension = path.extname(outPath).toLowerCase();
+    let contents;
+    if (extension === ".svg") {
+      contents = renderStaticSVG(pointsData, data, { mode, transform, title });
+    } else if (extension === ".html") {
+      contents = await renderReportHTML(rows, { name: baseName, mode, sort, sortOrder, transform, title });
+    } else if (extension === ".json") {
+      contents = JSON.stringify(summarizeChemicals(pointsData), null, 2);
+    } else if (extension === ".csv") {
+      const summary = summarizeChemicals(pointsData);
+      contents = toCSV(summary, Object.keys(summary[0]));
+    } else {
+      throw new Error(`Can't write "${outPath}", the output must end in .svg, .html, .json or .csv`);
+    }
+    await writeFile(outPath, contents);
+    console.log(`Wrote ${outPath}`);
+  }
+}
+
+try {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      sheet: { type: "string" },
+      columns: { type: "string" },
+      mode: { type: "string" },
+      sort: { type: "string" },
+      order: { type: "string" },
+      transform: { type: "string" },
+      outliers: { type: "string" },
+      threshold: { type: "string" },
+      out: { type: "string", short: "o", multiple: true },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+  const [ command, inputPath ] = positionals;
+  if (values.help || command !== "report" || !inputPath) {
+    console.log(usage);
+    process.exitCode = values.help ? 0 : 1;
+  } else {
+    await report(inputPath, values);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
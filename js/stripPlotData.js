@@ -0,0 +1,1284 @@
+/**
+ * The data side of the strip plots: reading INTERPRET NTA results workbooks, checking and cleaning them, and the
+ * statistics behind each chemical's row. Nothing here touches the DOM, so it runs in Node as well as the browser. Like
+ * stripPlots.js it uses the d3 and XLSX globals, which in Node are the vendored UMD builds put on globalThis, as
+ * bin/strip-plots.mjs does.
+ */
+
+/**
+ * A problem found in the input spreadsheet by validateData.
+ * @typedef {object} DataProblem
+ * @property {number} row The spreadsheet row number, counting the header as row 1.
+ * @property {string} chemical The chemical name of the row, or an empty string if it is missing.
+ * @property {?string} sample The sample name of the bad RF cell, or null if the whole row was dropped.
+ * @property {*} value The offending cell value.
+ * @property {string} reason Why the row or point was dropped.
+ * @property {"row"|"point"} dropped Whether the whole row or a single point was dropped.
+ */
+
+/** The ionization modes that can be shown, "both" puts ESI+ and ESI- side by side. */
+export const modes = ["+", "-", "both"];
+
+/**
+ * The Okabe-Ito palette, which stays distinguishable for the common forms of color blindness. Colors repeat when
+ * there are more than 8 chemicals, samples or groups.
+ */
+export const colorblindSafePalette = ["#E69F00", "#56B4E9", "#009E73", "#F0E442", "#0072B2", "#D55E00", "#CC79A7", "#000000"];
+
+/**
+ * The transforms that can be applied to the RF values before they are plotted, with the title used for the axis and
+ * wherever else the transformed values are shown. The inverse transform recovers the RF value.
+ */
+export const rfTransforms = {
+  ln: { label: "Natural log", title: "ln(RF)", forward: Math.log, inverse: Math.exp },
+  log10: { label: "Log base 10", title: "log10(RF)", forward: Math.log10, inverse: v => 10 ** v },
+  linear: { label: "Linear", title: "RF", forward: v => v, inverse: v => v }
+};
+
+/**
+ * Reads an INTERPRET NTA results workbook. The source can either be a path to fetch or a File that was chosen with the
+ * file picker or dropped onto the page. In Node, where fetch can't read local paths, pass a File made from the file's
+ * contents. Delimited text files (.csv, .tsv, .txt) are read as text so SheetJS detects the delimiter, and a .json
+ * file holding an array of row objects, or an object of named arrays, is read with one sheet per array.
+ * @param {string|File} source Path to the workbook, or a File object (.xlsx, .xls, .csv, .tsv, .txt or .json).
+ * @returns {Promise<object>} The SheetJS workbook object.
+ */
+export async function readInterpretOutputXLSX(source) {
+  let blob = source;
+
+  // fetch file if we were given a path
+  if (typeof source === "string") {
+    blob = await fetch(source);
+    if (!blob.ok) {
+      throw new Error(`Could not fetch ${source} (status ${blob.status})`);
+    }
+  }
+
+  const fileName = (typeof source === "string" ? source : source.name).toLowerCase();
+  if ([".csv", ".tsv", ".txt"].some(ext => fileName.endsWith(ext))) {
+    return XLSX.read(await blob.text(), { type: "string" });
+  }
+  if (fileName.endsWith(".json")) {
+    return readJSONWorkbook(JSON.parse(await blob.text()));
+  }
+
+  const arrayBuffer = await blob.arrayBuffer();
+  return XLSX.read(new Uint8Array(arrayBuffer), { type: "array" });
+}
+
+/**
+ * Builds a workbook from parsed JSON, either an array of row objects, read as a sheet named "data", or an object whose
+ * arrays of row objects are each read as a sheet named by its key.
+ * @param {*} json The parsed JSON.
+ * @returns {object} The SheetJS workbook object.
+ */
+function readJSONWorkbook(json) {
+  const sheets = Array.isArray(json)
+    ? [["data", json]]
+    : Object.entries(json ?? {}).filter(([, rows]) => Array.isArray(rows));
+  if (sheets.length === 0) {
+    throw new Error("Expected a JSON array of rows, or an object of named arrays of rows");
+  }
+
+  const workbook = XLSX.utils.book_new();
+  sheets.forEach(([sheetName, rows]) => {
+    // the sheet names Excel allows are shorter than JSON keys can be
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), sheetName.slice(0, 31));
+  });
+  return workbook;
+}
+
+/**
+ * Returns the name of the sheet that should be plotted by default, which is the first sheet whose columns can be
+ * mapped onto a results sheet, see guessColumnMapping. If no sheet can be mapped then the first sheet is returned.
+ * @param {object} workbook The SheetJS workbook object.
+ * @returns {string} The name of the default sheet.
+ */
+export function getDefaultSheetName(workbook) {
+  const mappableSheetName = workbook.SheetNames.find(sheetName => {
+    const [ header = [] ] = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1 });
+    const colNames = header.map(String);
+    return getUnmappedFields(guessColumnMapping(colNames), colNames).length === 0;
+  });
+
+  return mappableSheetName ?? workbook.SheetNames[0];
+}
+
+/**
+ * Returns the data from one sheet of a workbook, both the Positive AND Negative mode rows.
+ * @param {object} workbook The SheetJS workbook object.
+ * @param {string} sheetName The name of the sheet to read.
+ * @returns {object[]} An array of objects, one object for each row of data in the sheet.
+ */
+export function getSheetData(workbook, sheetName) {
+  // blank cells are kept as null so that validateData can report them
+  return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: null });
+}
+
+/**
+ * How the columns of an input sheet map onto the columns of a results sheet. Wide sheets have one row per chemical and
+ * an RF column per sample, whose names start with rfPrefix. Long sheets have one row per measurement, with the sample
+ * name and RF value in their own columns. Every field holds the name of the input column, or null if it is unmapped.
+ * @typedef {object} ColumnMapping
+ * @property {"wide"|"long"} format Whether the sheet is wide or long.
+ * @property {?string} chemical The chemical name column.
+ * @property {?string} mode The ionization mode column.
+ * @property {?string} retentionTime The retention time column.
+ * @property {?string} featureId The Feature ID column, which is optional.
+ * @property {?string} sample The sample name column of a long sheet.
+ * @property {?string} rf The RF value column of a long sheet.
+ * @property {string} rfPrefix The text that starts each RF column of a wide sheet, e.g. "RF ".
+ */
+
+/**
+ * The fields of a ColumnMapping that name a column, with the results sheet column each becomes, the formats that use
+ * it, and the column names other tools commonly use for it. Aliases are matched ignoring case, spaces and punctuation.
+ */
+export const columnFields = [
+  {
+    id: "chemical", column: "Chemical Name", formats: ["wide", "long"], required: true,
+    aliases: ["Chemical Name", "Chemical", "Compound", "Compound Name", "Name", "Preferred Name", "Analyte"]
+  },
+  {
+    id: "mode", column: "Ionization Mode", formats: ["wide", "long"], required: true,
+    aliases: ["Ionization Mode", "Ion Mode", "Mode", "Polarity", "ESI Mode", "Ionization"]
+  },
+  {
+    id: "retentionTime", column: "Retention Time", formats: ["wide", "long"], required: true,
+    aliases: ["Retention Time", "RT", "RT (min)", "Retention Time (min)", "Ret Time", "Mean RT", "Average RT"]
+  },
+  {
+    id: "featureId", column: "Feature ID", formats: ["wide", "long"], required: false,
+    aliases: ["Feature ID", "Feature", "Feature Number", "ID"]
+  },
+  {
+    id: "sample", column: "Sample", formats: ["long"], required: true,
+    aliases: ["Sample", "Sample Name", "Sample ID", "Replicate", "File Name"]
+  },
+  {
+    id: "rf", column: "RF", formats: ["long"], required: true,
+    aliases: ["RF", "Response Factor", "RF Value"]
+  }
+];
+
+/** The prefixes of the RF columns of wide sheets, tried in order, the first being the INTERPRET NTA layout. */
+export const rfColumnPrefixes = ["RF ", "RF_", "RF-", "Response Factor ", "Response Factor_"];
+
+/**
+ * Returns a column name reduced to lower case letters and digits, so that aliases match however they are spaced.
+ * @param {string} colName The column name, e.g. "Retention_Time (min)".
+ * @returns {string} The reduced name, e.g. "retentiontimemin".
+ */
+function normalizeColumnName(colName) {
+  return String(colName).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Guesses how the columns of an input sheet map onto a results sheet by matching their names against the aliases of
+ * each field. A sheet is read as long if it has sample and RF columns and no columns with an RF prefix.
+ * @param {string[]} colNames The column names of the input sheet.
+ * @returns {ColumnMapping} The guessed mapping, with null for any field no column matched.
+ */
+export function guessColumnMapping(colNames) {
+  const rfPrefix = rfColumnPrefixes.find(prefix => {
+    return colNames.some(colName => colName.toLowerCase().startsWith(prefix.toLowerCase()));
+  }) ?? rfColumnPrefixes[0];
+  const mapping = { format: "wide", rfPrefix };
+
+  // an earlier alias is a better match, so "RT" is only used when there is no "Retention Time" column
+  const usedColNames = new Set();
+  columnFields.forEach(field => {
+    const colName = field.aliases
+      .map(alias => colNames.find(colName => {
+        return !usedColNames.has(colName) && normalizeColumnName(colName) === normalizeColumnName(alias);
+      }))
+      .find(colName => colName !== undefined) ?? null;
+    if (colName !== null) {
+      usedColNames.add(colName);
+    }
+    mapping[field.id] = colName;
+  });
+
+  const hasRFColumns = colNames.some(colName => colName.toLowerCase().startsWith(rfPrefix.toLowerCase()));
+  if (mapping.sample !== null && mapping.rf !== null && !hasRFColumns) {
+    mapping.format = "long";
+  }
+  return mapping;
+}
+
+/**
+ * Returns the required fields of a mapping that are unmapped or name a column the sheet doesn't have. For wide sheets
+ * this includes the RF columns when no column starts with the RF prefix.
+ * @param {ColumnMapping} mapping The mapping to check.
+ * @param {string[]} colNames The column names of the input sheet.
+ * @returns {string[]} The results sheet column of each missing field, e.g. ["Retention Time", "RF <sample>"].
+ */
+export function getUnmappedFields(mapping, colNames) {
+  const unmappedFields = columnFields
+    .filter(field => field.required && field.formats.includes(mapping.format))
+    .filter(field => !colNames.includes(mapping[field.id]))
+    .map(field => field.column);
+  const rfPrefix = mapping.rfPrefix?.toLowerCase();
+  const hasRFColumns = Boolean(rfPrefix) && colNames.some(colName => colName.toLowerCase().startsWith(rfPrefix));
+  if (mapping.format === "wide" && !hasRFColumns) {
+    unmappedFields.push("RF <sample>");
+  }
+  return unmappedFields;
+}
+
+/**
+ * Returns an ionization mode written in the way other tools write it, e.g. "pos", "Positive", "+" or "ESI (+)", as
+ * "ESI+" or "ESI-". Anything else is returned unchanged so that validateData reports it.
+ * @param {*} value The ionization mode cell value.
+ * @returns {*} "ESI+", "ESI-" or the value.
+ */
+export function normalizeIonizationMode(value) {
+  const mode = typeof value === "string" ? value.toLowerCase().replace(/[\s()_]/g, "") : value;
+  if (["esi+", "+", "pos", "positive", "esipos", "esipositive"].includes(mode)) {
+    return "ESI+";
+  }
+  if (["esi-", "-", "neg", "negative", "esineg", "esinegative"].includes(mode)) {
+    return "ESI-";
+  }
+  return value;
+}
+
+/**
+ * Converts the rows of an input sheet into the rows of a results sheet, with the "Chemical Name", "Ionization Mode",
+ * "Retention Time", "Feature ID" and "RF <sample>" columns that validateData and cleanData expect. The rows of a long
+ * sheet are gathered into one row per chemical, mode and Feature ID, taking the retention time of the first row and
+ * the first RF value of each sample. Each row keeps the sheet row number of its first input
+ * row, so validation problems point at the input sheet, and the columns that aren't mapped, such as a chemical class
+ * to group the chemicals by. The input rows are left unchanged.
+ * @param {object[]} rows The rows of the input sheet, as returned by getSheetData.
+ * @param {ColumnMapping} mapping How the input columns map onto the results sheet.
+ * @returns {object[]} The rows of the results sheet.
+ */
+export function applyColumnMapping(rows, mapping) {
+  const mappedColumns = columnFields.map(field => mapping[field.id]).filter(Boolean);
+  const rfPrefix = mapping.rfPrefix?.toLowerCase();
+  // the RF columns of a wide sheet are renamed below, and a column named like a results sheet RF column isn't kept,
+  // since it would be read as a sample
+  const isExtraColumn = colName => !mappedColumns.includes(colName) && !colName.startsWith("RF ")
+    && (mapping.format !== "wide" || !colName.toLowerCase().startsWith(rfPrefix));
+  const makeRow = (row, i) => {
+    const mappedRow = {};
+    Object.defineProperty(mappedRow, "__rowNum__", { value: row.__rowNum__ ?? i + 1 });
+    columnFields.filter(field => !["sample", "rf"].includes(field.id)).forEach(field => {
+      mappedRow[field.column] = mapping[field.id] === null ? null : row[mapping[field.id]] ?? null;
+    });
+    mappedRow["Ionization Mode"] = normalizeIonizationMode(mappedRow["Ionization Mode"]);
+    Object.entries(row)
+      .filter(([colName]) => isExtraColumn(colName) && !(colName in mappedRow))
+      .forEach(([colName, value]) => {
+        mappedRow[colName] = value;
+      });
+    return mappedRow;
+  };
+
+  if (mapping.format === "wide") {
+    return rows.map((row, i) => {
+      const mappedRow = makeRow(row, i);
+      Object.entries(row)
+        .filter(([colName]) => colName.toLowerCase().startsWith(rfPrefix))
+        .forEach(([colName, value]) => {
+          mappedRow[`RF ${colName.slice(rfPrefix.length).trim()}`] = value;
+        });
+      return mappedRow;
+    });
+  }
+
+  const mappedRows = new Map();
+  rows.forEach((row, i) => {
+    const mappedRow = makeRow(row, i);
+    const key = JSON.stringify([mappedRow["Chemical Name"], mappedRow["Ionization Mode"], mappedRow["Feature ID"]]);
+    if (!mappedRows.has(key)) {
+      mappedRows.set(key, mappedRow);
+    }
+
+    // a blank sample name can't be given a column, so its value is left out
+    const sampleName = row[mapping.sample] === null ? "" : String(row[mapping.sample]).trim();
+    const rfColName = `RF ${sampleName}`;
+    if (sampleName !== "" && !(rfColName in mappedRows.get(key))) {
+      mappedRows.get(key)[rfColName] = row[mapping.rf] ?? null;
+    }
+  });
+  return [...mappedRows.values()];
+}
+
+/**
+ * Returns the columns of a results sheet that the chemicals can be grouped by, such as a chemical class column. These
+ * are the text columns, other than the results sheet's own columns, whose values repeat, with between 2 and maxGroups
+ * distinct values.
+ * @param {object[]} rows The rows of a results sheet, before they are cleaned.
+ * @param {number} [maxGroups=20] The most groups a column can have.
+ * @returns {string[]} The column names, in the order they first appear.
+ */
+export function getGroupColumns(rows, maxGroups = 20) {
+  const resultsColumns = columnFields.map(field => field.column);
+  return [...new Set(rows.flatMap(row => Object.keys(row)))]
+    .filter(colName => !resultsColumns.includes(colName) && !colName.startsWith("RF "))
+    .filter(colName => {
+      const values = rows.map(row => row[colName])
+        .filter(value => value !== null && value !== undefined && value !== "");
+      const nGroups = new Set(values).size;
+      return values.every(value => typeof value === "string") && nGroups >= 2 && nGroups <= maxGroups
+        && nGroups < values.length;
+    });
+}
+
+/**
+ * Returns the sample name for an RF or log RF column, with any underscore suffix removed.
+ * @param {string} colName The column name, e.g. "RF 10ppb_" or "log RF 10ppb_".
+ * @returns {string} The sample name, e.g. "10ppb".
+ */
+export function getSampleName(colName) {
+  const sampleName = colName.replace(/^(log )?RF /, "");
+  return sampleName.endsWith("_") ? sampleName.slice(0, sampleName.length-1) : sampleName;
+}
+
+/**
+ * Checks the input data before it is cleaned. Rows missing a chemical name, a valid ionization mode or a numeric
+ * retention time are dropped. RF values that are blank, text, zero or negative (their log is undefined) are removed
+ * from their row so the remaining samples can still be plotted. Every dropped row or point is reported.
+ * @param {object[]} data The data representing the input spreadsheet.
+ * @returns {{data: object[], problems: DataProblem[], missingColumns: string[]}} The rows that passed validation,
+ * a list of every problem found, and any required columns missing from the sheet. If columns are missing no rows
+ * are returned.
+ */
+export function validateData(data) {
+  const requiredColumns = [
+    "Chemical Name",
+    "Ionization Mode",
+    "Retention Time"
+  ];
+  const ionizationModes = ["ESI+", "ESI-"];
+
+  // check that the required columns and at least one RF column exist
+  const colNames = new Set(data.flatMap(row => Object.keys(row)));
+  const missingColumns = requiredColumns.filter(colName => !colNames.has(colName));
+  if (![...colNames].some(colName => colName.startsWith("RF "))) {
+    missingColumns.push("RF <sample>");
+  }
+  if (missingColumns.length > 0) {
+    return { data: [], problems: [], missingColumns };
+  }
+
+  const problems = [];
+  const validData = data.filter((row, i) => {
+    // SheetJS records the 0-indexed sheet row on each object, fall back to assuming the header is the first row
+    const rowNumber = (row.__rowNum__ ?? i + 1) + 1;
+    const chemical = row["Chemical Name"] === null ? "" : String(row["Chemical Name"]).trim();
+    const dropRow = (value, reason) => {
+      problems.push({ row: rowNumber, chemical, sample: null, value, reason, dropped: "row" });
+      return false;
+    };
+
+    if (chemical === "") {
+      return dropRow(row["Chemical Name"], "Chemical Name is blank");
+    }
+    // stray whitespace would stop a chemical from being matched across ionization modes
+    row["Chemical Name"] = chemical;
+
+    const mode = row["Ionization Mode"] === null ? "" : String(row["Ionization Mode"]).trim();
+    if (!ionizationModes.includes(mode)) {
+      return dropRow(row["Ionization Mode"], `Ionization Mode is not ${ionizationModes.join(" or ")}`);
+    }
+    row["Ionization Mode"] = mode;
+
+    const retentionTime = parseNumber(row["Retention Time"]);
+    if (!Number.isFinite(retentionTime)) {
+      return dropRow(row["Retention Time"], "Retention Time is blank or not a number");
+    }
+    row["Retention Time"] = retentionTime;
+
+    // drop the individual RF values that can't be logged
+    let nValidRFs = 0;
+    Object.entries(row).forEach(([colName, value]) => {
+      if (!colName.startsWith("RF ")) {
+        return;
+      }
+
+      const rf = parseNumber(value);
+      let reason;
+      if (value === null || value === "") {
+        reason = "RF is blank";
+      } else if (!Number.isFinite(rf)) {
+        reason = "RF is not a number";
+      } else if (rf <= 0) {
+        reason = "RF is zero or negative, its log is undefined";
+      }
+
+      if (reason) {
+        problems.push({ row: rowNumber, chemical, sample: getSampleName(colName), value, reason, dropped: "point" });
+        delete row[colName];
+      } else {
+        row[colName] = rf;
+        nValidRFs++;
+      }
+    });
+
+    if (nValidRFs === 0) {
+      return dropRow(null, "No valid RF values");
+    }
+
+    return true;
+  });
+
+  return { data: validData, problems, missingColumns };
+
+  function parseNumber(value) {
+    if (typeof value === "string" && value.trim() !== "") {
+      return Number(value);
+    }
+    return typeof value === "number" ? value : NaN;
+  }
+}
+
+/**
+ * Cleans our input data by removing unnecessary columns and the raw RF columns while adding log RF columns.
+ * Also calculates the median log RF value for each chemical and adds it to each object. The log RF columns hold the
+ * RF values after the chosen transform, which is the natural log by default.
+ * @param {object[]} data The data representing the input spreadsheet.
+ * @param {string} [transform="ln"] A key of rfTransforms.
+ * @returns {object[]} The cleaned data.
+ */
+export function cleanData(data, transform = "ln") { 
+  const columnsToKeep = [
+    "Feature ID",
+    "Chemical Name",
+    "Ionization Mode",
+    "Retention Time"
+  ];
+  data.forEach(row => {
+    Object.entries(row).forEach(([colName, value]) => {
+      // if the column isn't an RF value or in the list of columns to keep, remove it
+      if (!colName.startsWith("RF ") && !columnsToKeep.includes(colName)) {
+        delete row[colName];
+        return;
+      }
+
+      // We need to append the ionization mode to the chemical name
+      if (colName === "Chemical Name") {
+        row[colName] = `${row[colName]} (${row["Ionization Mode"]})`
+      }
+
+      // if we have an RF value, add a log key-value pair and remove the original RF value
+      if (colName.startsWith("RF ")) {
+        const logColName = `log ${colName}`;
+        row[logColName] = rfTransforms[transform].forward(value);
+        delete row[colName];
+      }
+    });
+  });
+
+  // calculate median log RF values and add to each row
+  calculateMedianLogRFs(data);
+
+  return data;
+}
+
+/**
+ * Changes the transform applied to the log RF columns of cleaned data. The medians are not updated.
+ * @param {object[]} data Our cleaned data object.
+ * @param {string} from The key of rfTransforms the data is currently transformed with.
+ * @param {string} to The key of rfTransforms to transform the data with instead.
+ * @returns {object[]} The same data, with the log RF columns transformed.
+ */
+export function changeRFTransform(data, from, to) {
+  data.forEach(row => {
+    Object.keys(row).filter(colName => colName.startsWith("log RF ")).forEach(colName => {
+      row[colName] = rfTransforms[to].forward(rfTransforms[from].inverse(row[colName]));
+    });
+  });
+  return data;
+}
+
+/**
+ * Returns a chemical name without the ionization mode suffix added by cleanData.
+ * @param {string} chemical The chemical name, e.g. "caffeine (ESI+)".
+ * @returns {string} The chemical name without its suffix, e.g. "caffeine".
+ */
+export function getBaseChemicalName(chemical) {
+  return chemical.replace(/ \(ESI[+-]\)$/, "");
+}
+
+/**
+ * Compares the median log RF of each chemical between the ionization modes. Only the rows of the main dataset are
+ * compared, rows from compared datasets (see compareDatasets) are skipped.
+ * @param {object[]} data Our cleaned data object.
+ * @returns {Map<string, {"ESI+": ?number, "ESI-": ?number, difference: ?number}>} The median log RF in each mode, and
+ * ESI+ minus ESI-, keyed by chemical name without the mode suffix. A chemical detected in only one mode has null for
+ * the other mode and for the difference.
+ */
+export function compareModes(data) {
+  const comparison = new Map();
+  data.filter(row => !row["Dataset"]).forEach(row => {
+    const baseName = getBaseChemicalName(row["Chemical Name"]);
+    if (!comparison.has(baseName)) {
+      comparison.set(baseName, { "ESI+": null, "ESI-": null, difference: null });
+    }
+    comparison.get(baseName)[row["Ionization Mode"]] = row["Median Log RF"] ?? null;
+  });
+
+  comparison.forEach(medians => {
+    if (medians["ESI+"] !== null && medians["ESI-"] !== null) {
+      medians.difference = medians["ESI+"] - medians["ESI-"];
+    }
+  });
+
+  return comparison;
+}
+
+/**
+ * Compares the median log RF of each chemical between datasets. The rows of the main dataset have no "Dataset" column,
+ * while the rows of each compared dataset hold its name there, and rows are matched by chemical name and ionization
+ * mode. The shift of a chemical is the difference between a compared dataset's median and the main dataset's median
+ * that is furthest from zero.
+ * @param {object[]} data Our cleaned data object, with the medians calculated.
+ * @returns {Map<string, {medians: Map<?string, number>, shift: ?number}>} The median log RF in each dataset the
+ * chemical was found in, keyed by dataset name or null for the main dataset, and the shift, keyed by chemical name
+ * with the mode suffix. The shift is null unless the chemical is in the main dataset and a compared one.
+ */
+export function compareDatasets(data) {
+  const comparison = new Map();
+  data.forEach(row => {
+    const chemical = row["Chemical Name"];
+    if (!comparison.has(chemical)) {
+      comparison.set(chemical, { medians: new Map(), shift: null });
+    }
+    if (row["Median Log RF"] !== undefined) {
+      comparison.get(chemical).medians.set(row["Dataset"] ?? null, row["Median Log RF"]);
+    }
+  });
+
+  comparison.forEach(datasets => {
+    if (!datasets.medians.has(null)) {
+      return;
+    }
+    const mainMedian = datasets.medians.get(null);
+    const shifts = [...datasets.medians]
+      .filter(([dataset]) => dataset !== null)
+      .map(([, median]) => median - mainMedian);
+    datasets.shift = d3.greatest(shifts, shift => Math.abs(shift)) ?? null;
+  });
+
+  return comparison;
+}
+
+/**
+ * Returns the points that pass the filters. The retention time range filters whole chemicals, while the log RF range
+ * and the sample checklist filter individual points. A null bound is unbounded.
+ * @param {object[]} pointsData The points, as returned by getPointsData.
+ * @param {object} filters The filters to apply.
+ * @param {?number} filters.rtMin The lowest retention time shown.
+ * @param {?number} filters.rtMax The highest retention time shown.
+ * @param {?number} filters.logRFMin The lowest log RF shown.
+ * @param {?number} filters.logRFMax The highest log RF shown.
+ * @param {Set<string>} filters.hiddenSamples The names of the samples that aren't shown.
+ * @returns {object[]} The points that pass the filters.
+ */
+export function filterPoints(pointsData, { rtMin, rtMax, logRFMin, logRFMax, hiddenSamples }) {
+  return pointsData.filter(d => {
+    return (rtMin === null || d.retentionTime >= rtMin)
+      && (rtMax === null || d.retentionTime <= rtMax)
+      && (logRFMin === null || d.logRF >= logRFMin)
+      && (logRFMax === null || d.logRF <= logRFMax)
+      && !hiddenSamples.has(d.sampleName);
+  });
+}
+
+/**
+ * Returns the chemical that best matches a search on chemical name or Feature ID. An exact Feature ID or name match
+ * wins, then a name that starts with the query, then a name that contains it. Matching ignores case.
+ * @param {object[]} data Our cleaned data object.
+ * @param {string} query The search text.
+ * @returns {?object} The matching row, or null if nothing matches.
+ */
+export function findChemical(data, query) {
+  query = query.trim().toLowerCase();
+  if (query === "") {
+    return null;
+  }
+
+  const getName = row => row["Chemical Name"].toLowerCase();
+  return data.find(row => String(row["Feature ID"]) === query || getName(row) === query)
+    ?? data.find(row => getName(row).startsWith(query))
+    ?? data.find(row => getName(row).includes(query))
+    ?? null;
+}
+
+/**
+ * Returns the key used to identify a single point, i.e. one sample of one chemical in one dataset.
+ * @param {string} chemical The chemical name, including the ionization mode suffix added by cleanData.
+ * @param {string} sampleName The sample name.
+ * @param {?string} [dataset=null] The name of the compared dataset the point is from, or null for the main dataset.
+ * @returns {string} The point key.
+ */
+export function getPointKey(chemical, sampleName, dataset = null) {
+  return dataset === null ? `${chemical}|${sampleName}` : `${chemical}|${sampleName}|${dataset}`;
+}
+
+/**
+ * Groups points by chemical, keeping the points of each compared dataset apart, since each dataset's measurements of a
+ * chemical have their own distribution.
+ * @param {object[]} pointsData Points from getPointsData.
+ * @returns {object[][]} The points of each chemical in each dataset, in the order they first appear.
+ */
+export function groupByChemical(pointsData) {
+  return Array.from(d3.group(pointsData, d => getPointKey(d.chemical, "", d.dataset)).values());
+}
+
+/**
+ * Calculates the median log RF value for each chemical and adds it to each row as "Median Log RF". Excluded points
+ * are left out of the median, and a chemical whose points are all excluded has an undefined median. Each compared
+ * dataset's rows get their own medians.
+ * @param {object[]} data Our cleaned data object.
+ * @param {Map<string, object>} [exclusions] Excluded points, keyed by getPointKey.
+ * @returns {object[]} The same data, with the median log RF values updated.
+ */
+export function calculateMedianLogRFs(data, exclusions = new Map()) {
+  // collect log RF values for median calculation
+  const logRFValues = {};
+  const getRowKey = row => getPointKey(row["Chemical Name"], "", row["Dataset"]);
+  data.forEach(row => {
+    const rowKey = getRowKey(row);
+    if (!logRFValues[rowKey]) {
+      logRFValues[rowKey] = [];
+    }
+    Object.entries(row).forEach(([colName, value]) => {
+      const pointKey = getPointKey(row["Chemical Name"], getSampleName(colName), row["Dataset"]);
+      if (colName.startsWith("log RF ") && !exclusions.has(pointKey)) {
+        logRFValues[rowKey].push(value);
+      }
+    });
+  });
+
+  data.forEach(row => {
+    row["Median Log RF"] = d3.median(logRFValues[getRowKey(row)]);
+  });
+
+  return data;
+}
+
+/**
+ * Returns the log RF values of the points that aren't excluded.
+ * @param {object[]} points Points from getPointsData, with exclusions marked.
+ * @returns {number[]} The log RF values.
+ */
+function getIncludedValues(points) {
+  return points.filter(d => !d.excluded).map(d => d.logRF);
+}
+
+/**
+ * The keys the chemicals can be sorted by, with the label of each in the sort menu, the order it sorts in unless
+ * another is chosen, and the value it sorts each row of the strip plot by, computed from the row's points. The
+ * statistics leave out excluded points, and the coefficient of variation is of the untransformed RF values, so it
+ * doesn't depend on the scale. "custom" sorts by a list of chemical names instead, see sortPoints.
+ */
+export const sortOptions = {
+  name: {
+    label: "Chemical name",
+    defaultOrder: "asc",
+    getValue: points => points[0].baseChemical
+  },
+  rt: {
+    label: "Retention time",
+    defaultOrder: "asc",
+    getValue: points => d3.min(points, d => d.retentionTime)
+  },
+  ml: {
+    label: "Median log RF",
+    defaultOrder: "asc",
+    getValue: points => d3.median(getIncludedValues(points))
+  },
+  iqr: {
+    label: "IQR of log RF",
+    defaultOrder: "desc",
+    getValue: points => {
+      const values = getIncludedValues(points);
+      return values.length > 0 ? d3.quantile(values, 0.75) - d3.quantile(values, 0.25) : null;
+    }
+  },
+  sd: {
+    label: "Standard deviation of log RF",
+    defaultOrder: "desc",
+    getValue: points => d3.deviation(getIncludedValues(points))
+  },
+  cv: {
+    label: "Coefficient of variation of RF",
+    defaultOrder: "desc",
+    getValue: (points, { transform }) => {
+      const rfValues = getIncludedValues(points).map(rfTransforms[transform].inverse);
+      const mean = d3.mean(rfValues);
+      return rfValues.length > 1 && mean > 0 ? d3.deviation(rfValues) / mean : null;
+    }
+  },
+  outliers: {
+    label: "Flagged points",
+    defaultOrder: "desc",
+    getValue: points => points.filter(d => d.outlier).length
+  },
+  excluded: {
+    label: "Excluded points",
+    defaultOrder: "desc",
+    getValue: points => points.filter(d => d.excluded).length
+  },
+  samples: {
+    label: "Detected samples",
+    defaultOrder: "asc",
+    getValue: points => new Set(points.map(d => getPointKey("", d.sampleName, d.dataset))).size
+  },
+  shift: {
+    label: "Shift between datasets",
+    defaultOrder: "desc",
+    getValue: (points, { datasetComparison }) => {
+      const shifts = [...new Set(points.map(d => d.chemical))]
+        .map(chemical => datasetComparison?.get(chemical)?.shift ?? null)
+        .filter(shift => shift !== null);
+      return d3.max(shifts, shift => Math.abs(shift));
+    }
+  },
+  custom: {
+    label: "Custom order",
+    defaultOrder: "asc",
+    getValue: (points, { customOrder }) => {
+      const position = customOrder.indexOf(points[0].baseChemical);
+      return position === -1 ? null : position;
+    }
+  }
+};
+
+/** The keys of sortOptions. */
+export const sortKeys = Object.keys(sortOptions);
+
+/**
+ * Sorts the points in place so that the rows of the strip plot are in order of a sort key, keeping the order of the
+ * points within each row. A row's value is computed from all of its points, across the modes when both are shown and
+ * across the compared datasets. Rows without a value, such as a chemical with no shift or missing from the custom
+ * order, go last in either order, and ties keep their current order. When the rows are grouped, the groups are sorted
+ * by their value, numbers before text and the rows without a group last, and the rows are sorted within each group.
+ * @param {object[]} pointsData Points from getPointsData, with exclusions marked and outliers flagged.
+ * @param {string} sortKey A key of sortOptions.
+ * @param {object} [options] How to sort.
+ * @param {boolean} [options.descending=false] Sort from the highest value to the lowest, or from Z to A.
+ * @param {function(object): string} [options.getRowName] Returns the row of a point, its chemical by default.
+ * @param {?function(object): ?(string|number)} [options.getGroup=null] Returns the group of a point's row, or null
+ * for a row without one. The rows aren't grouped by default.
+ * @param {string[]} [options.customOrder=[]] The chemical names, without their mode suffix, in the custom order.
+ * @param {string} [options.transform="ln"] The key of rfTransforms the log RF values are transformed with.
+ * @param {?Map} [options.datasetComparison=null] The comparison of the datasets, from compareDatasets, to sort by
+ * shift.
+ * @returns {object[]} The same points, sorted.
+ */
+export function sortPoints(pointsData, sortKey, {
+  descending = false,
+  getRowName = d => d.chemical,
+  getGroup = null,
+  customOrder = [],
+  transform = "ln",
+  datasetComparison = null
+} = {}) {
+  const compareValues = (a, b) => {
+    if (a === null || b === null) {
+      return (a === null) - (b === null);
+    }
+    if (typeof a === "number" && typeof b === "number") {
+      return a - b;
+    }
+    return typeof a === typeof b ? a.localeCompare(b, undefined, { numeric: true }) : typeof a === "number" ? -1 : 1;
+  };
+  const context = { transform, datasetComparison, customOrder };
+  const rows = d3.groups(pointsData, getRowName).map(([, points], i) => ({
+    points,
+    i,
+    group: getGroup?.(points[0]) ?? null,
+    value: sortOptions[sortKey].getValue(points, context) ?? null
+  }));
+  rows.sort((a, b) => {
+    const valueOrder = a.value === null || b.value === null || !descending
+      ? compareValues(a.value, b.value)
+      : compareValues(b.value, a.value);
+    return compareValues(a.group, b.group) || valueOrder || a.i - b.i;
+  });
+
+  const rowIndex = new Map(rows.flatMap(({ points }, i) => points.map(d => [d, i])));
+  return pointsData.sort((a, b) => rowIndex.get(a) - rowIndex.get(b));
+}
+
+/**
+ * Marks the excluded points. Each point gets an excluded property that is either null or the reason it was excluded.
+ * @param {object[]} pointsData The points, as returned by getPointsData.
+ * @param {Map<string, object>} exclusions Excluded points, keyed by getPointKey.
+ * @returns {object[]} The same points, with the excluded property set.
+ */
+export function markExclusions(pointsData, exclusions) {
+  pointsData.forEach(d => {
+    d.excluded = exclusions.get(getPointKey(d.chemical, d.sampleName, d.dataset))?.reason ?? null;
+  });
+  return pointsData;
+}
+
+/**
+ * Returns the rows as CSV text, quoting any value that contains a comma, quote or line break.
+ * @param {object[]} rows The rows to write.
+ * @param {string[]} columns The keys of each row to write, in order, which are also used as the header.
+ * @returns {string} The CSV text.
+ */
+export function toCSV(rows, columns) {
+  const formatValue = value => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+  };
+  return [columns, ...rows.map(row => columns.map(col => row[col]))]
+    .map(values => values.map(formatValue).join(","))
+    .join("\n");
+}
+
+/**
+ * Generates an array whose elements are object that hold the data relevant to each point on the scatter plot
+ * @param {object[]} data Our cleaned data object.
+ * @param {"+"|"-"|"both"} [showMode="both"] The ionization mode whose points are returned, ESI+ ("+") or ESI- ("-"),
+ * or the points of both modes ("both").
+ * @returns {object[]} An array of objects for plotting points on a scatter plot.
+ */
+export function getPointsData(data, showMode = "both") {
+  const pointsData = [];
+  const colors = colorblindSafePalette;
+  let chemName = data[0]?.["Chemical Name"];
+  let i = 0;
+  // iterate over rows of data
+  data.forEach(d => {
+    // filter on showMode (+ or - or both)
+    if (showMode !== "both" && d["Ionization Mode"] !== `ESI${showMode}`) {
+      return;
+    }
+
+    // now iterate over column headers and cell values
+    Object.entries(d).forEach(([key, value]) => {
+      // if we have logRF value, create an object to push into pointsData
+      if (key.startsWith("log RF ")) {
+        // get the sample name, remove underscore suffix if exists
+        const sampleName = getSampleName(key);
+        
+        if (d["Chemical Name"] !== chemName) {
+          chemName = d["Chemical Name"];
+          i++;
+        }
+
+        // construct the data that will be bound to our scatter plot point
+        const datum = {
+          chemical: d["Chemical Name"],
+          baseChemical: getBaseChemicalName(d["Chemical Name"]),
+          logRF: value,
+          featureId: d["Feature ID"],
+          sampleName: sampleName,
+          mode: d["Ionization Mode"],
+          dataset: d["Dataset"] ?? null,
+          retentionTime: d["Retention Time"],
+          medianLogRF: d["Median Log RF"],
+          color: colors[i % colors.length]
+        };
+
+        pointsData.push(datum);
+      }
+    });
+  });
+
+  return pointsData;
+}
+
+/**
+ * Returns the natural log of the gamma function, using the Lanczos approximation.
+ * @param {number} x A positive number.
+ * @returns {number} ln(Γ(x)).
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  coefficients.forEach(c => {
+    series += c / ++y;
+  });
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Returns the regularized incomplete beta function I_x(a, b), evaluated with a continued fraction.
+ * @param {number} x A value between 0 and 1.
+ * @param {number} a A positive shape parameter.
+ * @param {number} b A positive shape parameter.
+ * @returns {number} I_x(a, b).
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) {
+    return 0;
+  } else if (x >= 1) {
+    return 1;
+  }
+
+  // the continued fraction converges quickly for x < (a+1)/(a+b+2), otherwise use the symmetry relation
+  if (x > (a + 1) / (a + b + 2)) {
+    return 1 - incompleteBeta(1 - x, b, a);
+  }
+
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)) / a;
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let fraction = d;
+  for (let m = 1; m <= 200; m++) {
+    // even and odd steps of the continued fraction
+    for (const numerator of [
+      m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m)),
+      -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1))
+    ]) {
+      d = 1 + numerator * d;
+      d = 1 / (Math.abs(d) < tiny ? tiny : d);
+      c = 1 + numerator / c;
+      c = Math.abs(c) < tiny ? tiny : c;
+      fraction *= d * c;
+    }
+    if (Math.abs(d * c - 1) < 1e-12) {
+      break;
+    }
+  }
+  return front * fraction;
+}
+
+/**
+ * Returns the quantile of Student's t distribution, found by bisection of its cumulative distribution function.
+ * @param {number} p The cumulative probability, between 0.5 and 1.
+ * @param {number} df The degrees of freedom.
+ * @returns {number} The value t such that P(T <= t) = p.
+ */
+function studentTQuantile(p, df) {
+  const cdf = t => 1 - 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  let lo = 0;
+  let hi = 1;
+  while (cdf(hi) < p) {
+    hi *= 2;
+  }
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (cdf(mid) < p) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Flags values outside Tukey's fences, [Q1 - k·IQR, Q3 + k·IQR].
+ * @param {number[]} values The log RF values for one chemical.
+ * @param {number} k The fence multiplier.
+ * @returns {boolean[]} Whether each value is an outlier.
+ */
+function tukeyOutliers(values, k) {
+  const sorted = [...values].sort(d3.ascending);
+  const q1 = d3.quantileSorted(sorted, 0.25);
+  const q3 = d3.quantileSorted(sorted, 0.75);
+  const iqr = q3 - q1;
+  return values.map(v => v < q1 - k * iqr || v > q3 + k * iqr);
+}
+
+/**
+ * Flags values more than k scaled median absolute deviations (MAD) from the median. The MAD is scaled by 1.4826 so
+ * it estimates the standard deviation of normal data. When the MAD is 0 nothing is flagged.
+ * @param {number[]} values The log RF values for one chemical.
+ * @param {number} k The number of scaled MADs from the median.
+ * @returns {boolean[]} Whether each value is an outlier.
+ */
+function madOutliers(values, k) {
+  const median = d3.median(values);
+  const mad = 1.4826 * d3.median(values, v => Math.abs(v - median));
+  return values.map(v => mad > 0 && Math.abs(v - median) > k * mad);
+}
+
+/**
+ * Flags outliers with the two-sided Grubbs test, repeated with the most extreme value removed until no more outliers
+ * are found or fewer than 3 values remain.
+ * @param {number[]} values The log RF values for one chemical.
+ * @param {number} alpha The significance level.
+ * @returns {boolean[]} Whether each value is an outlier.
+ */
+function grubbsOutliers(values, alpha) {
+  const flags = values.map(() => false);
+  let remaining = values.map((v, i) => i);
+
+  while (remaining.length >= 3) {
+    const n = remaining.length;
+    const mean = d3.mean(remaining, i => values[i]);
+    const sd = d3.deviation(remaining, i => values[i]);
+    if (!(sd > 0)) {
+      break;
+    }
+
+    const extreme = d3.greatest(remaining, i => Math.abs(values[i] - mean));
+    const g = Math.abs(values[extreme] - mean) / sd;
+    const t = studentTQuantile(1 - alpha / (2 * n), n - 2);
+    const gCritical = (n - 1) / Math.sqrt(n) * Math.sqrt(t * t / (n - 2 + t * t));
+    if (g <= gCritical) {
+      break;
+    }
+
+    flags[extreme] = true;
+    remaining = remaining.filter(i => i !== extreme);
+  }
+
+  return flags;
+}
+
+/**
+ * Flags the most extreme value with Dixon's Q test. Critical values are only tabulated for 3 to 10 values, so
+ * chemicals with more values are not tested.
+ * @param {number[]} values The log RF values for one chemical.
+ * @param {number} alpha The significance level, one of 0.1, 0.05 or 0.01.
+ * @returns {boolean[]} Whether each value is an outlier.
+ */
+function dixonOutliers(values, alpha) {
+  // Rorabacher (1991) critical values for n = 3 to 10
+  const qCritical = {
+    0.1: [0.941, 0.765, 0.642, 0.560, 0.507, 0.468, 0.437, 0.412],
+    0.05: [0.970, 0.829, 0.710, 0.625, 0.568, 0.526, 0.493, 0.466],
+    0.01: [0.994, 0.926, 0.821, 0.740, 0.680, 0.634, 0.598, 0.568]
+  };
+  const flags = values.map(() => false);
+  const n = values.length;
+  if (n < 3 || n > 10) {
+    return flags;
+  }
+
+  const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+  const range = values[order[n - 1]] - values[order[0]];
+  if (range === 0) {
+    return flags;
+  }
+
+  const qLow = (values[order[1]] - values[order[0]]) / range;
+  const qHigh = (values[order[n - 1]] - values[order[n - 2]]) / range;
+  const q = Math.max(qLow, qHigh);
+  if (q > qCritical[alpha][n - 3]) {
+    flags[qLow > qHigh ? order[0] : order[n - 1]] = true;
+  }
+
+  return flags;
+}
+
+/**
+ * The rules available for flagging outliers within each chemical. A rule with a list of thresholds only accepts
+ * those values.
+ */
+export const outlierRules = {
+  none: { label: "None" },
+  iqr: { label: "Tukey IQR fences", thresholdName: "k", defaultThreshold: 1.5, test: tukeyOutliers },
+  mad: { label: "Median ± k·MAD", thresholdName: "k", defaultThreshold: 3, test: madOutliers },
+  grubbs: { label: "Grubbs test", thresholdName: "α", defaultThreshold: 0.05, test: grubbsOutliers },
+  dixon: {
+    label: "Dixon Q test",
+    thresholdName: "α",
+    defaultThreshold: 0.05,
+    thresholds: [0.1, 0.05, 0.01],
+    test: dixonOutliers
+  }
+};
+
+/**
+ * Applies an outlier rule to the points of each chemical. Each point gets an outlier property that is either null or
+ * a description of the rule that flagged it. Excluded points are left out of the test and never flagged, and
+ * chemicals with fewer than 3 remaining points are never flagged.
+ * @param {object[]} pointsData The points, as returned by getPointsData.
+ * @param {string} ruleId A key of outlierRules.
+ * @param {number} threshold The k or alpha value for the rule.
+ * @returns {object[]} The same points, with the outlier property set.
+ */
+export function flagOutliers(pointsData, ruleId, threshold) {
+  const rule = outlierRules[ruleId];
+  pointsData.forEach(d => {
+    d.outlier = null;
+  });
+  if (!rule.test) {
+    return pointsData;
+  }
+
+  const description = `${rule.label} (${rule.thresholdName} = ${threshold})`;
+  groupByChemical(pointsData.filter(d => !d.excluded)).forEach(points => {
+    if (points.length < 3) {
+      return;
+    }
+    const flags = rule.test(points.map(d => d.logRF), threshold);
+    points.forEach((d, i) => {
+      if (flags[i]) {
+        d.outlier = description;
+      }
+    });
+  });
+
+  return pointsData;
+}
+
+/**
+ * Summarizes the log RF values of one chemical for a box plot. The whiskers reach the most extreme values within
+ * Tukey's fences, 1.5·IQR beyond the quartiles.
+ * @param {number[]} values The log RF values for one chemical.
+ * @returns {{median: number, q1: number, q3: number, whiskerMin: number, whiskerMax: number}} The summary.
+ */
+export function summarizeDistribution(values) {
+  const sorted = [...values].sort(d3.ascending);
+  const q1 = d3.quantileSorted(sorted, 0.25);
+  const q3 = d3.quantileSorted(sorted, 0.75);
+  const iqr = q3 - q1;
+  return {
+    median: d3.quantileSorted(sorted, 0.5),
+    q1,
+    q3,
+    whiskerMin: sorted.find(v => v >= q1 - 1.5 * iqr),
+    whiskerMax: sorted.findLast(v => v <= q3 + 1.5 * iqr)
+  };
+}
+
+/**
+ * Estimates the density of the log RF values of one chemical with a Gaussian kernel and Silverman's rule of thumb for
+ * the bandwidth. The density is evaluated from 3 bandwidths below the smallest value to 3 above the largest.
+ * @param {number[]} values The log RF values for one chemical.
+ * @param {number} [nSteps=40] The number of intervals to evaluate the density over.
+ * @returns {?Array<[number, number]>} The [log RF, density] pairs, or null if there are fewer than 2 distinct values.
+ */
+export function kernelDensity(values, nSteps = 40) {
+  const sd = d3.deviation(values);
+  if (!(sd > 0)) {
+    return null;
+  }
+  const sorted = [...values].sort(d3.ascending);
+  const iqr = d3.quantileSorted(sorted, 0.75) - d3.quantileSorted(sorted, 0.25);
+  const bandwidth = 0.9 * (iqr > 0 ? Math.min(sd, iqr / 1.34) : sd) * values.length ** -0.2;
+  const min = sorted[0] - 3 * bandwidth;
+  const max = sorted[sorted.length - 1] + 3 * bandwidth;
+  const kernel = u => Math.exp(-0.5 * u * u) / Math.sqrt(2 * Math.PI);
+  return d3.range(nSteps + 1).map(i => {
+    const x = min + (max - min) * i / nSteps;
+    return [x, d3.mean(values, v => kernel((x - v) / bandwidth)) / bandwidth];
+  });
+}
+
+/**
+ * Fits a least squares line through [x, y] pairs.
+ * @param {Array<[number, number]>} points The [x, y] pairs.
+ * @returns {?Array<[number, number]>} The ends of the line at the smallest and largest x, or null if there are fewer
+ * than 2 distinct x values.
+ */
+function linearFit(points) {
+  const meanX = d3.mean(points, ([x]) => x);
+  const meanY = d3.mean(points, ([, y]) => y);
+  const sxx = d3.sum(points, ([x]) => (x - meanX) ** 2);
+  if (!(sxx > 0)) {
+    return null;
+  }
+  const slope = d3.sum(points, ([x, y]) => (x - meanX) * (y - meanY)) / sxx;
+  return d3.extent(points, ([x]) => x).map(x => [x, meanY + slope * (x - meanX)]);
+}
+
+/**
+ * Fits a LOESS curve through [x, y] pairs. At each step along x a line is fitted by weighted least squares to the
+ * nearest span fraction of the points, weighted with the tricube kernel, so the curve follows trends that a single
+ * line would miss.
+ * @param {Array<[number, number]>} points The [x, y] pairs.
+ * @param {number} [span=0.75] The fraction of the points each local line is fitted to, between 0 and 1.
+ * @param {number} [nSteps=50] The number of intervals to evaluate the curve over.
+ * @returns {?Array<[number, number]>} The [x, y] pairs of the curve from the smallest to the largest x, or null if
+ * there are fewer than 3 points or 2 distinct x values.
+ */
+function loessFit(points, span = 0.75, nSteps = 50) {
+  const [ min, max ] = d3.extent(points, ([x]) => x);
+  if (points.length < 3 || !(max > min)) {
+    return null;
+  }
+  const nNearest = Math.min(points.length, Math.max(3, Math.ceil(span * points.length)));
+  return d3.range(nSteps + 1).map(i => {
+    const x0 = min + (max - min) * i / nSteps;
+    const distances = points.map(([x]) => Math.abs(x - x0));
+    // the furthest of the nearest points gets a weight of 0, so widen the window a little to keep it in the fit
+    const maxDistance = [...distances].sort(d3.ascending)[nNearest - 1] * 1.001 || 1;
+    const weights = distances.map(distance => distance < maxDistance ? (1 - (distance / maxDistance) ** 3) ** 3 : 0);
+    const sumWeights = d3.sum(weights);
+    const meanX = d3.sum(points, ([x], j) => weights[j] * x) / sumWeights;
+    const meanY = d3.sum(points, ([, y], j) => weights[j] * y) / sumWeights;
+    const sxx = d3.sum(points, ([x], j) => weights[j] * (x - meanX) ** 2);
+    const sxy = d3.sum(points, ([x, y], j) => weights[j] * (x - meanX) * (y - meanY));
+    return [x0, sxx > 0 ? meanY + sxy / sxx * (x0 - meanX) : meanY];
+  });
+}
+
+/**
+ * The trend lines that can be fitted through the retention time scatter, to spot response drift with retention time.
+ * Each fit takes the [retention time, log RF] pairs and the LOESS span, and returns the [x, y] pairs of the line in
+ * order of x, or null if there are too few points to fit.
+ */
+export const trendFits = {
+  linear: { label: "Linear", fit: points => linearFit(points) },
+  loess: { label: "LOESS", fit: (points, span) => loessFit(points, span) }
+};
+
+/**
+ * Returns how far a point's log RF is from its chemical's median log RF.
+ * @param {object} d A point from getPointsData.
+ * @returns {number|null} The deviation, in the units of the current transform, or null if every point of the
+ * chemical is excluded so that it has no median.
+ */
+export function getDeviation(d) {
+  return d.medianLogRF === undefined ? null : d.logRF - d.medianLogRF;
+}
+
+/**
+ * Pivots points from getPointsData into one entry per sample run, to find runs that read high or low across all of
+ * the chemicals. The samples of a compared dataset are named "<dataset>: <sample>", so they aren't mixed up with the
+ * main dataset's samples of the same name.
+ * @param {object[]} points Points from getPointsData.
+ * @returns {{sampleName: string, points: object[], medianDeviation: ?number}[]} The samples in natural sort order,
+ * each with its points and the median deviation of its points that aren't excluded.
+ */
+export function pivotBySample(points) {
+  return d3.groups(points, d => d.dataset === null ? d.sampleName : `${d.dataset}: ${d.sampleName}`)
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(([sampleName, samplePoints]) => ({
+      sampleName,
+      points: samplePoints,
+      medianDeviation: d3.median(samplePoints.filter(d => !d.excluded), getDeviation) ?? null
+    }));
+}
+
+/**
+ * Summarizes the points of each chemical in each dataset, for reports. The statistics leave out excluded points.
+ * @param {object[]} pointsData Points from getPointsData, with exclusions marked and outliers flagged.
+ * @returns {object[]} One row per chemical and dataset, in the order of the points, with its name, dataset (null for
+ * the main dataset), ionization mode, Feature ID, retention time, point counts, and the median, quartiles and range of
+ * its log RF values (null if every point is excluded).
+ */
+export function summarizeChemicals(pointsData) {
+  return groupByChemical(pointsData).map(points => {
+    const values = points.filter(d => !d.excluded).map(d => d.logRF);
+    const summary = values.length > 0 ? summarizeDistribution(values) : null;
+    return {
+      chemical: getBaseChemicalName(points[0].chemical),
+      dataset: points[0].dataset,
+      mode: points[0].mode,
+      featureId: points[0].featureId,
+      retentionTime: points[0].retentionTime,
+      nPoints: points.length,
+      nExcluded: points.length - values.length,
+      nOutliers: points.filter(d => d.outlier).length,
+      median: summary?.median ?? null,
+      q1: summary?.q1 ?? null,
+      q3: summary?.q3 ?? null,
+      min: d3.min(values) ?? null,
+      max: d3.max(values) ?? null
+    };
+  });
+}
@@ -1,536 +1,3536 @@
+import {
+  modes, sortKeys, colorblindSafePalette, rfTransforms, readInterpretOutputXLSX, getDefaultSheetName, getSheetData,
+  validateData, cleanData, changeRFTransform, getBaseChemicalName, compareModes, filterPoints, findChemical,
+  getPointKey, calculateMedianLogRFs, sortOptions, sortPoints, markExclusions, toCSV, getPointsData, outlierRules,
+  flagOutliers, summarizeDistribution, kernelDensity, getDeviation, pivotBySample, columnFields, guessColumnMapping,
+  getUnmappedFields, applyColumnMapping, compareDatasets, groupByChemical, trendFits, getGroupColumns
+} from "./stripPlotData.js";
+
 /**
  * A d3 selection of an HTML element.
  * @typedef {d3.Selection<HTMLElement>} D3Selection
  */
 
 /**
- * Returns a random number between min and max.
+ * Everything needed to show someone else the same view of a strip plot. Settings that are missing are left as they
+ * are when the view is restored.
+ * @typedef {object} StripPlotView
+ * @property {?string} [dataset] The path of the workbook, or null if it was not loaded from a path.
+ * @property {string} [sheet] The name of the plotted sheet.
+ * @property {"+"|"-"|"both"} [mode] The ionization mode shown.
+ * @property {string} [sort] The key of sortOptions the chemicals are sorted by.
+ * @property {"asc"|"desc"} [sortOrder] The order they are sorted in.
+ * @property {?string} [groupBy] "Retention Time" or the column the chemicals are grouped by, or null if they aren't.
+ * @property {number} [rtBinWidth] The width of the retention time bins, in minutes.
+ * @property {string[]} [customOrder] The chemical names in the custom order.
+ * @property {"ln"|"log10"|"linear"} [transform] The RF transform.
+ * @property {"chemical"|"sample"|"group"} [colorBy] What the points are colored by.
+ * @property {string[]} [overlays] The distribution overlays drawn.
+ * @property {?number[]} [xDomain] The fixed [min, max] range of the RF axis, or null if it fits the data.
+ * @property {{rtMin: ?number, rtMax: ?number, logRFMin: ?number, logRFMax: ?number, hiddenSamples: string[]}}
+ * [filters] The retention time, log RF and sample filters.
+ * @property {?string} [search] The chemical found by the search.
+ * @property {{k: number, x: number, y: number}} [zoom] The zoom scale and pan offsets.
+ * @property {number} [scrollTop] How far the plot is scrolled down, in pixels.
+ * @property {?string} [selected] The point shown in the tooltip, as "<chemical>|<sample>", or
+ * "<chemical>|<sample>|<dataset>" for a point of a compared dataset.
+ * @property {boolean} [help] Whether the help tooltip is pinned open.
+ */
+
+/**
+ * An embedded strip plot, as returned by createStripPlot.
+ * @typedef {object} StripPlot
+ * @property {function(object[]|string|File): Promise<void>} update Replaces the plotted data with the rows of a
+ * results sheet, or with a workbook read from a path or File.
+ * @property {function("+"|"-"|"both"): StripPlot} setMode Shows the ESI+ ("+") or ESI- ("-") data, or both modes
+ * side by side ("both").
+ * @property {function(string, ("asc"|"desc")=): StripPlot} setSort Sorts the chemicals by a key of the sort menu,
+ * such as median log RF ("ml"), retention time ("rt"), IQR ("iqr") or the custom order ("custom"), in ascending or
+ * descending order, the key's default order if not given.
+ * @property {function((string|File)[]): Promise<void>} compare Compares the plotted data with other workbooks, read
+ * from paths or Files, whose chemicals are drawn on sub-rows of the matching chemicals' rows. An empty array stops
+ * comparing.
+ * @property {function("ln"|"log10"|"linear"): StripPlot} setTransform Plots the natural log, log base 10 or
+ * untransformed RF values.
+ * @property {function(string, ?function): StripPlot} on Adds or, given null, removes an event listener. The events
+ * are "load", "error", "modechange", "sortchange", "transformchange", "hover", "exclusionchange", "pinchange" and
+ * "viewchange", and they can be namespaced as in d3-dispatch, e.g. "hover.dashboard".
+ * @property {function(): ?StripPlotView} getView Returns the current view, or null if nothing is plotted.
+ * @property {function(StripPlotView): Promise<void>} setView Restores a view, loading its dataset first if it is a
+ * different workbook or sheet.
+ * @property {function(): void} destroy Removes the strip plot and all of its listeners from the page.
+ * @property {Promise<void>} ready Resolves once the initial data has been plotted.
+ */
+
+/** A count of the strip plots created, used to namespace each instance's document listeners. */
+let nStripPlots = 0;
+
+/**
+ * Returns a pseudo-random number between min and max that only depends on the seed, so a jittered point lands in the
+ * same place every time the plot is redrawn.
+ * @param {string} seed The seed, such as a point's key.
  * @param {number} min The minimum value.
  * @param {number} max The maximum value.
- * @returns {number} A random value between min and max.
+ * @returns {number} A value between min and max.
  */
-function randomNumRange(min, max) {
-  return Math.random() * (max - min) + min;
+function seededRandomNumRange(seed, min, max) {
+  // FNV-1a hash of the seed, which seeds a linear congruential generator
+  let hash = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    hash = Math.imul(hash ^ seed.charCodeAt(i), 16777619);
+  }
+  return d3.randomLcg((hash >>> 0) / 2 ** 32)() * (max - min) + min;
 }
 
+/** The variables the points can be colored by, and their labels. */
+const colorByOptions = {
+  chemical: "Chemical",
+  sample: "Sample name",
+  group: "Sample group"
+};
+
+/** The orders the chemicals can be sorted in, and their labels. */
+const sortOrders = {
+  asc: "Ascending",
+  desc: "Descending"
+};
+
+/** The paragraphs that introduce the help tooltip. */
+const helpIntro = [
+  "By default, the strip plot shows ESI+ data sorted by the median log Response Factor (RF)",
+  "RF = abundance/concentration"
+];
+
+/** The features listed in the help tooltip, each drawn as a list item. */
+const helpFeatures = [
+  "Hovering over a point will enlarge it and populate a tooltip in the top right with data about that point",
+  "Clicking the 🔃 button will toggle between sorting by retention time and by median log RF",
+  "The \"Sort by\" menu above the plot sorts the chemicals by name, retention time, median log RF, spread, flagged " +
+    "or excluded points or detected samples, in ascending or descending order, \"Custom order\" reorders them by " +
+    "dragging, and \"Group by\" puts them under retention time bin or chemical class headers",
+  "Clicking the \"+\" button will populate the plot with ESI+ data",
+  "Clicking the \"-\" button will populate the plot with ESI- data",
+  "Clicking the \"+/-\" button will show ESI+ and ESI- side by side, with ESI+ above ESI- in each chemical's row " +
+    "and the difference in median log RF on the right",
+  "Ctrl+Scroll zooms the axis and spreads the rows apart, with labels kept at their size",
+  "Click+Drag to pan",
+  "The \"↺\" button or Ctrl+Space will reset the figure after zooming and or panning",
+  "Tab to the plot and use the arrow keys to move between points and chemicals, Home and End to jump to the ends of " +
+    "a row, Enter to pin the focused point and X to exclude or include it",
+  "The \"Data table\" panel below the plot lists the plotted points for screen readers",
+  "Points flagged as outliers by the rule chosen below the plot are outlined in red, and listed in the flagged " +
+    "points table",
+  "Clicking a point will pin it to the table below the tooltip, Shift+Click pins more points and Shift+Drag pins " +
+    "every point in a region, so their values and deviations from the median can be compared, copied and exported",
+  "Alt+Click on a point will exclude it from the median log RF and outlier tests, Alt+Click on it again will " +
+    "include it",
+  "The \"Med\", \"Box\" and \"Vln\" buttons draw each chemical's median, IQR box with whiskers and kernel density " +
+    "violin behind its points, and the \"Jit\" button spreads the points out vertically so overlapping points can be " +
+    "told apart",
+  "Clicking the \"SVG\" or \"PNG\" button will save the full plot as an image, and the \"CSV\" button will save the " +
+    "plotted points",
+  "The \"Color by\" menu below the plot colors the points by chemical, sample name or sample group, and clicking a " +
+    "legend entry will highlight that sample or group in every row",
+  "The controls above the plot find a chemical by name or Feature ID, and filter by retention time, log RF and sample",
+  "The \"Scale\" menu above the plot plots the natural log, log base 10 or untransformed RF values, and the \"Axis " +
+    "range\" boxes fix the axis so plots of different datasets can be compared",
+  "The \"Sample QC\" panel below the plot shows each sample's deviations from the chemical medians as a strip plot " +
+    "or heatmap, and clicking a point or cell finds its chemical in the plot",
+  "The \"Retention time vs log RF\" panel below the plot shows each feature's retention time against its median log " +
+    "RF, with an optional linear or LOESS trend, dragging over it picks out those chemicals in the plot and hovering " +
+    "a point in the plot outlines its feature there",
+  "The \"Compare with\" file picker above the plot adds other workbooks, whose chemicals are drawn on numbered " +
+    "sub-rows with the shift in median log RF on the right, and \"Sort by largest shift\" puts the chemicals that " +
+    "moved the most first",
+  "Large datasets are split into pages of chemicals, and the \"Page\" menu above the plot jumps to a page",
+  "The address bar always links to the current view, and the view presets bar above the plot saves and restores " +
+    "named views",
+  "Choose a workbook with the file picker above the plot, or drop one onto the page, to plot a different dataset, " +
+    "and use the column mapping panel to plot files from other tools"
+];
+
+/** The distribution overlays that can be drawn for each chemical, with their button text and descriptions. */
+const overlayOptions = {
+  median: { text: "Med", label: "Median tick" },
+  box: { text: "Box", label: "IQR box and whiskers" },
+  violin: { text: "Vln", label: "Violin (kernel density)" },
+  jitter: { text: "Jit", label: "Jitter points" }
+};
+
 /**
- * Generates an array of n colors between color0 and color1.
- * @param {string} color0 The starting color in any CSS color format.
- * @param {string} color1 The ending color in any CSS color format.
- * @param {number} n The number of colors to generate.
- * @returns {string[]} An array of n colors between color0 and color1.
+ * Returns the group of a sample, parsed from its name with a regular expression. The group is the first capture group
+ * of the match, or the whole match if the pattern has no groups. A sample that doesn't match is its own group.
+ * @param {string} sampleName The sample name, e.g. "250ppb_3".
+ * @param {RegExp} pattern The pattern to match against the sample name.
+ * @returns {string} The sample group.
  */
-function generateColors(color0, color1, n) {
-  const interpolate = d3.interpolateRgb(color0, color1);
-  const colors = [];
-  for (let i = 0; i < n; i++) {
-    const t = i / (n - 1);
-    colors.push(interpolate(t));
-  }
-  return colors;
+function getSampleGroup(sampleName, pattern) {
+  const match = sampleName.match(pattern);
+  if (!match) {
+    return sampleName;
+  }
+  return match[1] ?? match[0];
 }
 
 /**
- * Returns the Positive AND Negative mode data from the INTERPRET NTA results .xlsx file.
- * @param {string} filePath Path to the INTERPRET NTA results .xlsx file.
- * @returns {[Object[], Object[]]} An array whose first element is an array of objects, one object for each row of data
- * for positive mode; and whose second element is an array of object for negative mode.
+ * Returns the value of the variable a point is colored by.
+ * @param {object} d The point's datum.
+ * @param {string} colorBy A key of colorByOptions.
+ * @returns {string} The chemical, sample name or sample group of the point.
  */
-async function readInterpretOutputXLSX(filePath) {
-  // fetch file
-  const response = await fetch(filePath);
-  const arrayBuffer = await response.arrayBuffer();
-
-  // access data from desired tracer detection sheet and write to json object
-  const workbook = XLSX.read(new Uint8Array(arrayBuffer), { type: 'array' });
-  const sheetName = "Sheet1";
-  const jsonData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]);
-
-  return jsonData;
+function getColorKey(d, colorBy) {
+  return { chemical: d.chemical, sample: d.sampleName, group: d.sampleGroup }[colorBy];
 }
 
 /**
- * Cleans our input data by removing unnecessary columns and the raw RF columns while adding log RF columns.
- * Also calculates the median log RF value for each chemical and adds it to each object.
- * @param {object[]} data The data representing the input spreadsheet.
- * @returns {object[]} The cleaned data.
+ * Sets the sampleGroup and color of each point. Chemicals are colored in row order so neighbouring rows differ, while
+ * samples and groups are colored by their position in the domain so they keep their color when the view changes.
+ * @param {object[]} pointsData The points, as returned by getPointsData.
+ * @param {string} colorBy A key of colorByOptions.
+ * @param {string[]} palette The colors to use.
+ * @param {RegExp} sampleGroupPattern The pattern used to parse sample groups from sample names.
+ * @param {string[]} domain Every sample name or sample group, in the order they take colors from the palette.
+ * @returns {object[]} The same points, with the sampleGroup and color properties set.
  */
-function cleanData(data) { 
-  const columnsToKeep = [
-    "Feature ID",
-    "Chemical Name",
-    "Ionization Mode",
-    "Retention Time"
-  ];
-  const logRFValues = {};
+function colorPoints(pointsData, colorBy, palette, sampleGroupPattern, domain) {
+  pointsData.forEach(d => {
+    d.sampleGroup = getSampleGroup(d.sampleName, sampleGroupPattern);
+  });
 
-  data.forEach(row => {
-    Object.entries(row).forEach(([colName, value]) => {
-      // if the column isn't an RF value or in the list of columns to keep, remove it
-      if (!colName.startsWith("RF ") && !columnsToKeep.includes(colName)) {
-        delete row[colName];
-        return;
-      }
+  const keys = colorBy === "chemical" ? [...new Set(pointsData.map(d => d.chemical))] : domain;
+  const colorScale = d3.scaleOrdinal(keys, palette);
+  pointsData.forEach(d => {
+    d.color = colorScale(getColorKey(d, colorBy));
+  });
 
-      // We need to append the ionization mode to the chemical name
-      if (colName === "Chemical Name") {
-        row[colName] = `${row[colName]} (${row["Ionization Mode"]})`
-      }
+  return pointsData;
+}
 
-      // if we have an RF value, add a log key-value pair and remove the original RF value
-      if (colName.startsWith("RF ")) {
-        const logColName = `log ${colName}`;
-        row[logColName] = Math.log(value);
-        delete row[colName];
+/**
+ * Returns the localStorage key that holds the exclusions for one sheet of a workbook.
+ * @param {{fileName: string, sheetName: string}} source The workbook and sheet being plotted.
+ * @returns {string} The localStorage key.
+ */
+function getExclusionsStorageKey({ fileName, sheetName }) {
+  return `stripPlots.exclusions.${fileName}.${sheetName}`;
+}
 
-        // collect log RF values for median calculation
-        if (!logRFValues[row["Chemical Name"]]) {
-          logRFValues[row["Chemical Name"]] = [];
-        }
-        logRFValues[row["Chemical Name"]].push(row[logColName]);
-      }
-    });
-  });
+/**
+ * Loads the exclusions saved for one sheet of a workbook. Returns no exclusions if localStorage is unavailable or
+ * holds something unreadable.
+ * @param {{fileName: string, sheetName: string}} source The workbook and sheet being plotted.
+ * @returns {Map<string, object>} Excluded points, keyed by getPointKey.
+ */
+function loadExclusions(source) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(getExclusionsStorageKey(source))) ?? [];
+    return new Map(saved.map(d => [getPointKey(d.chemical, d.sampleName, d.dataset), d]));
+  } catch (error) {
+    return new Map();
+  }
+}
 
-  // calculate median log RF values and add to each row
-  data.forEach(row => {
-    const chemicalName = row["Chemical Name"];
-    const logRFs = logRFValues[chemicalName];
-    const medianLogRF = d3.median(logRFs);
-    row["Median Log RF"] = medianLogRF;
-  });
+/**
+ * Saves the exclusions for one sheet of a workbook to localStorage. Throws an error if they can't be saved, such as
+ * when localStorage is unavailable or full.
+ * @param {{fileName: string, sheetName: string}} source The workbook and sheet being plotted.
+ * @param {Map<string, object>} exclusions Excluded points, keyed by getPointKey.
+ */
+function saveExclusions(source, exclusions) {
+  try {
+    localStorage.setItem(getExclusionsStorageKey(source), JSON.stringify([...exclusions.values()]));
+  } catch (error) {
+    throw new Error(`Could not save the excluded points: ${error.message}`);
+  }
+}
+
+/** The localStorage key that named view presets are saved under. */
+const presetsStorageKey = "stripPlots.presets";
 
-  return data;
+/**
+ * Loads the saved view presets. Returns no presets if localStorage is unavailable or holds something unreadable.
+ * @returns {Object<string, StripPlotView>} The presets, keyed by name.
+ */
+function loadPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(presetsStorageKey)) ?? {};
+  } catch (error) {
+    return {};
+  }
 }
 
 /**
- * Generates an array whose elements are object that hold the data relevant to each point on the scatter plot
- * @param {object[]} data Our cleaned data object.
- * @returns {object[]} An array of objects for plotting points on a scatter plot.
+ * Saves the view presets to localStorage. Throws an error if they can't be saved.
+ * @param {Object<string, StripPlotView>} presets The presets, keyed by name.
  */
-function getPointsData(data, nChemsPerPlot, showMode = "both") {
-  const pointsData = [];
-  let colors = generateColors("#CC00CC", "#009090", 4)
-  colors = colors.concat(generateColors("#009090", "#FF6600", 4).slice(1))
-  colors = colors.concat(generateColors("#FF9933", "#CC00CC", 2).slice(1, -1))
-  let chemName = data[0]["Chemical Name"];
-  let i = 0;
-  // iterate over rows of data
-  data.forEach(d => {
-    // filter on showMode (+ or - or both)
-    if (showMode === "+") {
-      if (d["Chemical Name"].includes("(ESI-)")) {
-        return;
-      }
-    } else if (showMode === "-") {
-      if (d["Chemical Name"].includes("(ESI+)")) {
-        return;
-      }
-    }
+function savePresets(presets) {
+  try {
+    localStorage.setItem(presetsStorageKey, JSON.stringify(presets));
+  } catch (error) {
+    throw new Error(`Could not save the view presets: ${error.message}`);
+  }
+}
 
-    // now iterate over column headers and cell values
-    Object.entries(d).forEach(([key, value]) => {
-      // if we have logRF value, create an object to push into pointsData
-      if (key.startsWith("log RF ")) {
-        // get the sample name, remove underscore suffix if exists
-        let sampleName = key.split("log RF ")[1];
-        sampleName = sampleName.endsWith("_") ? sampleName.slice(0, sampleName.length-1) : sampleName;
-        
-        if (d["Chemical Name"] !== chemName) {
-          chemName = d["Chemical Name"];
-          i++;
-        }
+/** The localStorage key that the column mappings chosen in the column mapping panel are saved under. */
+const columnMappingsStorageKey = "stripPlots.columnMappings";
 
-        // construct the data that will be bound to our scatter plot point
-        const datum = {
-          chemical: d["Chemical Name"],
-          logRF: value,
-          featureId: d["Feature ID"],
-          sampleName: sampleName,
-          mode: d["Ionization Mode"],
-          retentionTime: d["Retention Time"],
-          color: colors[i % 7]
-        };
+/**
+ * Loads the saved column mappings, most recently used first. Returns no mappings if localStorage is unavailable or
+ * holds something unreadable.
+ * @returns {ColumnMapping[]} The saved mappings.
+ */
+function loadColumnMappings() {
+  try {
+    return JSON.parse(localStorage.getItem(columnMappingsStorageKey)) ?? [];
+  } catch (error) {
+    return [];
+  }
+}
 
-        pointsData.push(datum);
-      }
-    });
-  });
+/**
+ * Saves a column mapping to localStorage, ahead of the mappings saved before it. Only the 20 most recently used
+ * mappings are kept. Throws an error if the mapping can't be saved.
+ * @param {ColumnMapping} mapping The mapping to save.
+ */
+function saveColumnMapping(mapping) {
+  const mappings = loadColumnMappings()
+    .filter(savedMapping => JSON.stringify(savedMapping) !== JSON.stringify(mapping));
+  try {
+    localStorage.setItem(columnMappingsStorageKey, JSON.stringify([mapping, ...mappings].slice(0, 20)));
+  } catch (error) {
+    throw new Error(`Could not save the column mapping: ${error.message}`);
+  }
+}
 
-  return pointsData;
+/**
+ * Returns the column mapping for a sheet: the most recently saved mapping that fits its columns, or else the mapping
+ * guessed from its column names.
+ * @param {string[]} colNames The column names of the sheet.
+ * @returns {ColumnMapping} The mapping.
+ */
+function getColumnMapping(colNames) {
+  return loadColumnMappings().find(mapping => getUnmappedFields(mapping, colNames).length === 0)
+    ?? guessColumnMapping(colNames);
 }
 
 /**
- * Generates a parent grid container for holding the plots. There is one thinner column on the far left that
- * will be used for a tooltip. There will be nPlots more columns of equal width for each plot, which will be dependent
- * on the number of chemicals available for plotting.
- * @param {string} parentDivId The Id for the main div element that will hold the plots.
- * @param {string} parentGridId The Id for the returned object.
- * @return {D3Selection} The d3 selection object for the new parent grid container.
+ * Encodes a view as the hash of a URL, so it can be shared as a link. Filters that are off, an unzoomed plot and
+ * other defaults are left out to keep the link short.
+ * @param {StripPlotView} view The view to encode.
+ * @returns {string} The hash, without the leading "#".
  */
-function makeParentGridContainer(parentDivId, parentGridId) {
-  const parentGridContainer = d3.select(`#${parentDivId}`)
-    .append("div")
-    .style("width", "fit-content")
-    .attr("id", parentGridId)
-    .style("display", "grid")
-    .style("grid-template-columns", "800px 300px")
-    .style("grid-template-rows", "1fr");
+function encodeViewHash(view) {
+  const params = new URLSearchParams();
+  const set = (key, value) => {
+    if (value !== null && value !== undefined && value !== "") {
+      params.set(key, value);
+    }
+  };
+  const formatRange = range => range.some(value => value !== null) ? range.map(value => value ?? "").join(",") : null;
 
-  return parentGridContainer;
+  set("data", view.dataset);
+  set("sheet", view.sheet);
+  set("mode", view.mode);
+  set("sort", view.sort);
+  set("order", view.sort && view.sortOrder !== sortOptions[view.sort].defaultOrder ? view.sortOrder : null);
+  set("group", view.groupBy);
+  set("bin", view.groupBy === "Retention Time" ? view.rtBinWidth : null);
+  set("scale", view.transform);
+  set("color", view.colorBy);
+  set("overlays", view.overlays?.join(","));
+  set("axis", view.xDomain && formatRange(view.xDomain));
+  if (view.filters) {
+    set("rt", formatRange([view.filters.rtMin, view.filters.rtMax]));
+    set("rf", formatRange([view.filters.logRFMin, view.filters.logRFMax]));
+    view.filters.hiddenSamples.forEach(sampleName => params.append("hide", sampleName));
+  }
+  set("find", view.search);
+  const { k = 1, x = 0, y = 0 } = view.zoom ?? {};
+  if (k !== 1 || x !== 0 || y !== 0) {
+    set("zoom", [k, x, y].map(value => Number(value.toFixed(3))).join(","));
+  }
+  set("scroll", view.scrollTop ? Math.round(view.scrollTop) : null);
+  set("select", view.selected);
+  set("help", view.help ? 1 : null);
+  return params.toString();
 }
 
-async function stripPlotsMain(inputXlsxPath) {
-  // read in data
-  let data = await readInterpretOutputXLSX(inputXlsxPath);
-
-  // remove unwanted columns and raw RF values and add log RF values
-  data = cleanData(data);
+/**
+ * Checks that a dataset path from a URL hash is a relative path on the page's own origin, so a shared link can't make
+ * the page fetch a workbook from another site.
+ * @param {string} path The path, e.g. "./data/results.xlsx".
+ * @returns {boolean} Whether the path can be loaded.
+ */
+function isSameOriginPath(path) {
+  // reject URLs with a scheme, such as "https:" or "data:", protocol-relative URLs and backslashes, which browsers
+  // treat like slashes
+  if (/^[a-z][a-z\d+.-]*:/i.test(path) || path.startsWith("//") || path.includes("\\")) {
+    return false;
+  }
+  try {
+    return new URL(path, location.href).origin === location.origin;
+  } catch (error) {
+    return false;
+  }
+}
 
-  // set the number of chemicals per plot and calculate the number of plots needed to view all chemicals
-  const nChemsPerPlot = data.length;
-  const nPlots = 1 //Math.floor(data.length / nChemsPerPlot) + 1;
+/**
+ * Decodes a view from the hash of a URL made by encodeViewHash. Unrecognized values are ignored, as is a dataset that
+ * isn't a relative path on the page's origin, and the filters, grouping, search, zoom, scroll position, selected point
+ * and help tooltip are reset when the hash leaves them out.
+ * @param {string} hash The hash, with or without the leading "#".
+ * @returns {StripPlotView} The view.
+ */
+function decodeViewHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const parseNumbers = (key, length) => {
+    const values = params.get(key)?.split(",").map(value => value === "" ? null : Number(value));
+    const isValid = values?.length === length && values.every(value => value === null || Number.isFinite(value));
+    return isValid ? values : null;
+  };
 
-  // set the svgIDs that will be used as grid-areas for placing in the correct column of the parentGrid
-  const svgIDs = [];
-  for (let i = 0; i < nPlots; i++) {
-     svgIDs.push(`svg${i}`);
+  const view = {};
+  if (params.has("data") && isSameOriginPath(params.get("data"))) {
+    view.dataset = params.get("data");
+  }
+  if (params.has("sheet")) {
+    view.sheet = params.get("sheet");
+  }
+  if (modes.includes(params.get("mode"))) {
+    view.mode = params.get("mode");
+  }
+  if (sortKeys.includes(params.get("sort"))) {
+    view.sort = params.get("sort");
+    view.sortOrder = Object.hasOwn(sortOrders, params.get("order"))
+      ? params.get("order")
+      : sortOptions[view.sort].defaultOrder;
+  }
+  // a grouping column that the sheet doesn't have is turned off when the view is restored
+  view.groupBy = params.get("group");
+  const rtBinWidth = Number(params.get("bin"));
+  if (rtBinWidth > 0) {
+    view.rtBinWidth = rtBinWidth;
+  }
+  if (Object.hasOwn(rfTransforms, params.get("scale"))) {
+    view.transform = params.get("scale");
+  }
+  if (Object.hasOwn(colorByOptions, params.get("color"))) {
+    view.colorBy = params.get("color");
   }
+  view.overlays = (params.get("overlays") ?? "").split(",").filter(overlay => Object.hasOwn(overlayOptions, overlay));
+  const xDomain = parseNumbers("axis", 2);
+  view.xDomain = xDomain && xDomain[0] < xDomain[1] ? xDomain : null;
 
-  // make the parent grid container for housing the application
-  const parentDivId = "strip-plots-container"; // the main div from the html file for hosting the visual
-  const parentGridId = "strip-plots-parent-grid-container"; // the grid div to house the visual
-  
-  const parentGridContainer = d3.select(`#${parentDivId}`)
-    .append("div")
-    .style("display", "grid")
-    .style("grid-template-columns", "40px 782px 300px")
-    .style("grid-template-rows", "1fr")
-    .attr("id", parentGridId)
-    .style("gap", "5px")
-    .style("margin", "5px auto");
+  const [ rtMin, rtMax ] = parseNumbers("rt", 2) ?? [null, null];
+  const [ logRFMin, logRFMax ] = parseNumbers("rf", 2) ?? [null, null];
+  view.filters = { rtMin, rtMax, logRFMin, logRFMax, hiddenSamples: params.getAll("hide") };
+  view.search = params.get("find");
 
-  // add button to toggle between sorted by retention time and median log RF
-  const buttonContainer = parentGridContainer.append("div");
-  
-  buttonContainer.append("button")
-    .attr("id", "sortButton")
-    .style("height", "40px")
-    .style("width", "60px")
-    .style("font-size", '28px')
-    .style("padding-left", "0px")
-    .style("padding-right", "10px")
-    .style("padding-bottom", "40px")
-    .style("margin-bottom", "10px")
-    .style("margin-left", "5px")
-    .style("text-align", "left")
-    .style("margin-top", '10px')
-    .style("border", "2px solid #999")
-    .style("border-radius", "8px")
-    .html("&#x1f503")
-    .on("mouseover", () => {
-      d3.select("#sortButton").transition().duration(200)
-        .style("border-color", "black");
-    })
-    .on("mouseout", () => {
-      d3.select("#sortButton").transition().duration(200)
-        .style("border-color", "#999");
-    })
-    .on("click", () => {
-      sortedBy = sortedBy === "rt" ? "ml" : "rt";
-      makeStripPlot(data, sortedBy, showMode, false);
-    });
+  const zoom = parseNumbers("zoom", 3);
+  view.zoom = zoom?.every(value => value !== null) && zoom[0] > 0
+    ? { k: zoom[0], x: zoom[1], y: zoom[2] }
+    : { k: 1, x: 0, y: 0 };
+  view.scrollTop = Number(params.get("scroll")) || 0;
+  view.selected = params.get("select");
+  view.help = params.get("help") === "1";
+  return view;
+}
 
-  // add buttons to toggle between which ionization mode is shown  
-  const modeButtonData = [
-    { "text": "+", "id": "pos" },
-    { "text": "-", "id": "neg" },
-    // { "text": "+/-", "id": "both" }
-  ];
+/**
+ * Saves contents to the user's computer as a file, by clicking a temporary download link.
+ * @param {string|Blob} contents The file contents.
+ * @param {string} fileName The name to save the file as.
+ * @param {string} type The MIME type of the file.
+ */
+function downloadFile(contents, fileName, type) {
+  const blob = contents instanceof Blob ? contents : new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
 
-  modeButtonData.forEach(d => {
-    buttonContainer.append("button")
-    .attr("id", d.id)
-    .style("height", "40px")
-    .style("width", "60px")
-    .style("font-size", () => d.text === "-" ? "36px" : '26px')
-    .style("padding-left", () => d.text === "+/-" ? "3px": d.text === "+" ? "11px" : "14px")
-    .style("padding-right", "10px")
-    .style("padding-bottom", () => d.text === "-" ? "18px" :"1px")
-    .style("padding-top", () => d.text === "-" ? "0px" : "1px")
-    .style("margin-left", "5px")
-    .style("background-color", d.id === "pos" ? "#ddffdd" : "#efefef")
-    .style("text-align", "left")
-    .style("margin-top", '2px')
-    .style("line-height", "34px")
-    .style("border", `2px solid #999`)
-    .style("border-radius", "8px")
-    .html(d.text)
-    .on("mouseover", () => {
-      d3.select(`#${d.id}`).transition().duration(200)
-        .style("border-color", "black");
-    })
-    .on("mouseout", () => {
-      d3.select(`#${d.id}`).transition().duration(200)
-        .style("border-color", "#999");
-    })
-    .on("click", () => {
-      // update border-radius 
-      modeButtonData.forEach(q => {
-        if (q.id !== d.id) {
-          d3.select(`#${q.id}`).transition().duration(300)
-            .style("background-color", "#efefef");
-        }
-      });
-      d3.select(`#${d.id}`).transition().duration(300)
-          .style("background-color", "#ddffdd");
-      
+/**
+ * Returns a standalone copy of a plot SVG that can be saved to a file. Computed styles are inlined so the copy looks
+ * the same outside the page, the zoom transform is reset so the full plot is included, hovered points are shrunk back
+ * to their normal size, and a white background is added.
+ * @param {SVGSVGElement} svgNode The plot's SVG element.
+ * @returns {string} The serialized SVG.
+ */
+function getStandaloneSVG(svgNode) {
+  const styleProperties = [
+    "fill",
+    "fill-opacity",
+    "stroke",
+    "stroke-width",
+    "stroke-opacity",
+    "opacity",
+    "font-family",
+    "font-size",
+    "font-weight",
+    "text-anchor"
+  ];
+  const clone = svgNode.cloneNode(true);
 
-      if (d.text === "+/-") {
-        showMode = "both";
-      } else {
-        showMode = d.text;
+  // the clone has the same elements in the same order, so copy the computed styles across pairwise
+  const liveElements = [svgNode, ...svgNode.querySelectorAll("*")];
+  const cloneElements = [clone, ...clone.querySelectorAll("*")];
+  liveElements.forEach((element, i) => {
+    const computedStyle = getComputedStyle(element);
+    styleProperties.forEach(property => {
+      const value = computedStyle.getPropertyValue(property);
+      if (value) {
+        cloneElements[i].style.setProperty(property, value);
       }
-      makeStripPlot(data, sortedBy, showMode, false);
     });
   });
 
-  const helpTooltipButton = buttonContainer.append("div")
-    .attr("id", "helpButton")
-    .style("height", "35px")
-    .style("width", "60px")
-    .style("font-size", '28px')
-    .style("padding-left", "6px")
-    .style("padding-right", "10px")
-    .style("padding-bottom", "4px")
-    .style("margin-top", "470px")
-    .style("margin-left", "5px")
-    .style("text-align", "left")
-    .style("border", "2px solid #999")
+  const svg = d3.select(clone)
+    .style("box-shadow", null);
+  svg.select("g").attr("transform", null);
+  svg.selectAll("circle.stripCircle").attr("r", 6);
+  svg.insert("rect", ":first-child")
+    .attr("width", "100%")
+    .attr("height", "100%")
+    .attr("fill", "white");
+
+  return new XMLSerializer().serializeToString(clone);
+}
+
+/**
+ * Renders a serialized SVG to a canvas and saves it as a PNG file. The scale is reduced if needed so that very tall
+ * plots stay within the browser's canvas size limit.
+ * @param {string} svgString The serialized SVG, as returned by getStandaloneSVG.
+ * @param {number} width The width of the SVG in pixels.
+ * @param {number} height The height of the SVG in pixels.
+ * @param {string} fileName The name to save the file as.
+ * @param {number} [scale] The number of PNG pixels per SVG pixel.
+ */
+function downloadPNG(svgString, width, height, fileName, scale = 3) {
+  const maxCanvasSize = 32000;
+  scale = Math.min(scale, maxCanvasSize / width, maxCanvasSize / height);
+
+  const url = URL.createObjectURL(new Blob([svgString], { type: "image/svg+xml;charset=utf-8" }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.floor(width * scale);
+    canvas.height = Math.floor(height * scale);
+    const context = canvas.getContext("2d");
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => downloadFile(blob, fileName, "image/png"), "image/png");
+  };
+  image.src = url;
+}
+
+/**
+ * Generates the file loader bar that sits above the plots. A workbook can be loaded either with the file picker or by
+ * dropping a file anywhere on the container. When a workbook has several sheets a select element is shown so the
+ * user can choose which sheet is plotted. The columns of each sheet are mapped onto a results sheet before they are
+ * plotted, and the column mapping panel below the bar is shown when the sheet isn't laid out as a results sheet.
+ * @param {D3Selection} container The element that holds the strip plot.
+ * @param {function(object[], {fileName: string, sheetName: string, path: ?string}): void} onData Called with the rows
+ * of the chosen sheet, mapped onto a results sheet, every time a workbook or sheet is loaded or the columns are
+ * mapped again. The path is null for files that were picked or dropped.
+ * @param {function(Error): void} onError Called when a file can't be read.
+ * @param {boolean} visible Whether to show the loader bar and accept dropped files. A hidden loader can still load.
+ * @param {function({name: string, rows: object[]}[]): void} onCompare Called with the validated rows of each
+ * workbook the plotted data is compared with, every time they change.
+ * @returns {{load: function(string|File, string=): Promise<void>, loadRows: function(object[], string): void,
+ * compare: function((string|File)[], boolean=): Promise<void>, refresh: function(): void}} An object whose load method
+ * reads a path or File, and shows the named sheet if the workbook has one, whose loadRows method plots rows that were
+ * given rather than read, under a dataset name, whose compare method reads the workbooks to compare with, replacing
+ * or adding to the ones already compared, and whose refresh method plots the current sheet again.
+ */
+function makeFileLoader(container, onData, onError, visible, onCompare) {
+  const acceptedExtensions = [".xlsx", ".xls", ".csv", ".tsv", ".txt", ".json"];
+  let workbook;
+  let fileName;
+  let path;
+  let currentSheet = null;
+  let comparedDatasets = [];
+
+  const loaderContainer = container.append("div")
+    .attr("class", "file-loader")
+    .style("display", visible ? "flex" : "none")
+    .style("align-items", "center")
+    .style("gap", "10px")
+    .style("max-width", "100%")
+    .style("box-sizing", "border-box")
+    .style("padding", "8px")
+    .style("margin", "5px")
+    .style("border", "2px dashed #999")
     .style("border-radius", "8px")
-    .style("color", "#777")
-    .html("�")
-    .on("mouseover", () => {
-      d3.select("#helpButton").transition().duration(300)
-        .style("border-color", "black");
-      if (!helpTooltipClicked) {
-        d3.select("#helpTooltip").transition().duration(500)
-          .style("opacity", 1);
-      }
-    })
-    .on("mouseout", () => {
-      d3.select("#helpButton").transition().duration(300)
-        .style("border-color", "#999");
-      if (!helpTooltipClicked) {
-        d3.select("#helpTooltip").transition().duration(500)
-          .style("opacity", 0);
-      }
-    })
-    .on("click", () => {
-      helpTooltipClicked = !helpTooltipClicked;
-      if (helpTooltipClicked) {
-        d3.select("#helpTooltip").transition().duration(500)
-          .style("opacity", 1);
-        d3.select("#helpButton").transition().duration(300)
-          .style("background-color", "#ddffdd");
-      } else {
-        d3.select("#helpTooltip").transition().duration(500)
-          .style("opacity", 0);
-        d3.select("#helpButton").transition().duration(300)
-          .style("background-color", "#fff");
+    .style("font-size", "16px");
+
+  loaderContainer.append("label")
+    .text("Workbook: ")
+    .append("input")
+    .attr("class", "file-input")
+    .attr("type", "file")
+    .attr("accept", acceptedExtensions.join(","))
+    .on("change", (event) => {
+      const [ file ] = event.target.files;
+      if (file) {
+        load(file);
       }
+      // clear the value so that choosing the same file again still fires a change event
+      event.target.value = "";
     });
 
-  // make SVG container
-  const svgGridContainer = parentGridContainer.append("div")
-    .style("gap", "5px")
-    .style("padding", "8px")
-    .style("border", "3px solid black")
-    .style("border-radius", "5px")
-    .style("max-height", "650px")
-    .style("overflow-y", "scroll")
-    .style("overflow-x", "hidden")
-    .style("background-color", "white");
+  const sheetSelect = loaderContainer.append("select")
+    .attr("class", "sheet-select")
+    .style("display", "none")
+    .style("font-size", "16px")
+    .on("change", (event) => showSheet(event.target.value));
 
-  // create tooltip container
-  const tooltipContainer = parentGridContainer.append("div")
-    .attr("class", "tooltip")
-    .style("border", "1px solid black")
-    .style("border-radius", "5px")
-    .style("background-color", "black")
-    .style("box-shadow", "0 0 5px rgba(0,0,0,0.3)")
-    .style("display", "block")
-    .style("line-height", "25px")
-    .style("width", "290px")
-    .style("height", "159px")
-    .style("align-self", "start");
+  const status = loaderContainer.append("span")
+    .style("color", "#555")
+    .text("or drop an .xlsx, .xls, .csv, .tsv or .json file here");
 
-  const tooltip = tooltipContainer.append("div")
-    .style("padding", "4px")
-    .style("margin", "0px 0px 0px 4px")
-    .style("border", "1px solid black")
-    .style("border-radius", "2px 0px 0px 2px")
-    .style("background-color", "white")
-    .style("height", "151px")
-    .style("font-size", "17px");
+  // other workbooks can be added to compare their chemicals with the plotted ones
+  loaderContainer.append("label")
+    .style("margin-left", "auto")
+    .text("Compare with: ")
+    .append("input")
+    .attr("class", "compare-input")
+    .attr("type", "file")
+    .attr("multiple", true)
+    .attr("accept", acceptedExtensions.join(","))
+    .style("width", "110px")
+    .on("change", (event) => {
+      const files = [...event.target.files];
+      if (files.length > 0) {
+        compare(files, true);
+      }
+      event.target.value = "";
+    });
 
-  // add instructions
-  parentGridContainer.append("div")
-  const instructions = tooltipContainer.append("div")
-    .attr("id", "helpTooltip")
-    .style("padding-left", "10px")
-    .style("padding-top", "5px")
-    .style("border", "1px solid black")
-    .style("border-radius", "3px")
-    .style("font-size", "18px")
-    .style("line-height", "24px")
-    .style("margin-top", "38px")
-    .style("width", "500px")
-    .style("opacity", 0)
-    .html("By default, the strip plot shows ESI+ data sorted by the mean log Response Factor (RF)<br><br>RF = abundance/concentration<br><br><b>Features</b><br><ul><li>Hovering over a point will enlarge it and populate a tooltip in the top right with data about that point</li><li>Clicking the 🔃 button will toggle between sorting by retention time and by median log RF</li><li>Clicking the \"+\" button will populate the plot with ESI+ data</li><li>Clicking the \"-\" button will populate the plot with ESI- data</li><li>Ctrl+Scroll to zoom</li><li>Click+Drag to pan</li><li>Ctrl+Space will reset the figure after zooming and or panning</li> </ul>");
+  const compareStatus = loaderContainer.append("span")
+    .attr("class", "compare-status")
+    .style("color", "#555");
 
-  // make plots
-  let showMode = "+";
-  var sortedBy = "meanRF";
-  var helpTooltipClicked = false;
-  makeStripPlot(data, sortedBy, showMode, true);
+  const clearComparisonButton = loaderContainer.append("button")
+    .style("display", "none")
+    .style("font-size", "16px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .text("Clear")
+    .on("click", () => compare([]));
 
-  function makeStripPlot(data, sortedBy, showMode = "both", firstPass = false, zoom) {
-    // destroy existing svg
-    svgGridContainer.selectAll("svg").remove();
+  // holds the column mapping panel, so it stays between the loader bar and the plots
+  const mappingContainer = container.append("div")
+    .attr("class", "column-mapping-container");
 
-    // sort the data by retention time (lowest to highest)
-    if (sortedBy === "rt") {
-      data.sort((a, b) => a["Retention Time"] - b["Retention Time"]);
-    } else {
-      data.sort((a, b) => a["Median Log RF"] - b["Median Log RF"]);
-    }
+  // the whole container is a drop zone, highlight the loader bar while a file is dragged over it
+  if (visible) {
+    container
+      .on("dragover", (event) => {
+        event.preventDefault();
+        loaderContainer.style("border-color", "black").style("background-color", "#ddffdd");
+      })
+      .on("dragleave", (event) => {
+        if (!container.node().contains(event.relatedTarget)) {
+          loaderContainer.style("border-color", "#999").style("background-color", null);
+        }
+      })
+      .on("drop", (event) => {
+        event.preventDefault();
+        loaderContainer.style("border-color", "#999").style("background-color", null);
+        const [ file ] = event.dataTransfer.files;
+        if (file) {
+          load(file);
+        }
+      });
+  }
 
-    // now we need to get a data structure such that each point on the plot has an object that represents it
-    const pointsData = getPointsData(data, 10, showMode);
+  function showError(error) {
+    status.style("color", "#cc0000").text(error.message);
+    onError(error);
+  }
 
-    let nChems = nChemsPerPlot;
-    if (showMode !== "both") {
-      nChems = data.filter(d => d["Chemical Name"].includes(`(ESI${showMode})`)).length;
+  function checkExtension(name) {
+    if (!acceptedExtensions.some(ext => name.toLowerCase().endsWith(ext))) {
+      throw new Error(`${name} is not an ${acceptedExtensions.join(", ")} file`);
     }
-    // now construct the SVG
-    svgIDs.forEach((svgID, iPlot) => {
+  }
 
-      const margin = { top: 50, right: 20, bottom: 0, left: 250 }
-      const svgWidth = 750;
-      const svgHeight = nChems * 35;
-      let svg;
-      svg = svgGridContainer.append("svg")
-        .attr("width", svgWidth)
-        .attr("height", svgHeight)
-        .attr("id", svgID)
-        .style("overflow", "hidden")
-        .style("box-shadow", "0 0 6px rgba(0,0,0,0.2)");
-        // svg = d3.select(`#${svgID}`)
-        //   .attr("height", svgHeight);
-
-      // handle zoom functionality
-      var zoom = d3.zoom()
-        .scaleExtent([0.5, 3])
-        .filter(function(event) {
-          // Disable zoom on scroll unless ctrl is pressed
-          return event.ctrlKey || (!event.button && event.type !== 'wheel');
-        })
-        .wheelDelta(function(event) {
-          // Adjust zoom speed
-          return -event.deltaY * (event.ctrlKey ? 0.003 : 0.05);
-        });
+  function showSheet(sheetName) {
+    status.style("color", "#555").text(`${fileName} — ${sheetName}`);
+    mapColumns(getSheetData(workbook, sheetName), { fileName, sheetName, path });
+  }
+
+  // plot the rows straight away if their columns can be mapped, and let the user check or fix the mapping unless the
+  // sheet is already laid out as a results sheet
+  function mapColumns(rows, source) {
+    currentSheet = { rows, source };
+    const colNames = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const mapping = getColumnMapping(colNames);
+    const unmappedFields = getUnmappedFields(mapping, colNames);
+    const isResultsSheet = mapping.format === "wide" && mapping.rfPrefix === "RF " && columnFields
+      .filter(field => field.formats.includes("wide"))
+      .every(field => [field.column, ...(field.required ? [] : [null])].includes(mapping[field.id]));
 
-      // Reset zoom on Ctrl+Space
-      d3.select("body").on("keydown", (event) => {
-        if (event.ctrlKey && event.code === "Space") {
-          event.preventDefault();
-          d3.select(`#svg0`).transition().duration(750).call(zoom.transform, d3.zoomIdentity);
+    mappingContainer.selectAll("*").remove();
+    if (!isResultsSheet || unmappedFields.length > 0) {
+      makeColumnMappingPanel(mappingContainer, colNames, mapping, source, newMapping => {
+        // the mapping is still applied when it can't be remembered for next time
+        try {
+          saveColumnMapping(newMapping);
+        } catch (error) {
+          showError(error);
         }
+        onData(applyColumnMapping(rows, newMapping), source);
       });
+    }
+    if (unmappedFields.length === 0) {
+      onData(applyColumnMapping(rows, mapping), source);
+    }
+  }
 
-      svg.call(zoom);
-
-      const g = svg.append("g");
+  async function load(source, requestedSheetName) {
+    const name = typeof source === "string" ? source.split("/").pop() : source.name;
+    try {
+      checkExtension(name);
+    } catch (error) {
+      showError(error);
+      return;
+    }
 
-      function zoomed(event) {
-        g.attr("transform", event.transform);
-      }
+    try {
+      workbook = await readInterpretOutputXLSX(source);
+    } catch (error) {
+      showError(new Error(`Could not read ${name}: ${error.message}`));
+      return;
+    }
+    fileName = name;
+    path = typeof source === "string" ? source : null;
 
-      zoom.on("zoom", zoomed);
+    // only show the sheet selector when there is a choice to make
+    const sheetName = workbook.SheetNames.includes(requestedSheetName)
+      ? requestedSheetName
+      : getDefaultSheetName(workbook);
+    sheetSelect.style("display", workbook.SheetNames.length > 1 ? null : "none");
+    sheetSelect.selectAll("option")
+      .data(workbook.SheetNames)
+      .join("option")
+      .attr("value", d => d)
+      .property("selected", d => d === sheetName)
+      .text(d => d);
 
-      svg.on("dblclick.zoom", null)
+    showSheet(sheetName);
+  }
 
-      // get unique chemical names and define x and y scales
-      const chemicalNames = [...new Set(pointsData.map(d => d.chemical))].slice(iPlot*nChemsPerPlot, (iPlot+1)*nChemsPerPlot);
+  function loadRows(rows, name) {
+    mapColumns(rows, { fileName: name, sheetName: "data", path: null });
+  }
 
-      // y-scale, each chemical gets its own row
-      const esiRegex = /\(ESI/;
+  // compared workbooks are plotted from their default sheet, mapped with their saved or guessed column mapping
+  async function compare(sources, add = false) {
+    const datasets = add ? [...comparedDatasets] : [];
+    for (const source of sources) {
+      const name = typeof source === "string" ? source.split("/").pop() : source.name;
+      try {
+        checkExtension(name);
+        const comparedWorkbook = await readInterpretOutputXLSX(source);
+        const rows = getSheetData(comparedWorkbook, getDefaultSheetName(comparedWorkbook));
+        const colNames = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        const mapping = getColumnMapping(colNames);
+        const unmappedFields = getUnmappedFields(mapping, colNames);
+        if (unmappedFields.length > 0) {
+          throw new Error(`the ${unmappedFields.join(", ")} column(s) weren't found, load it on its own to map them`);
+        }
+        const validation = validateData(applyColumnMapping(rows, mapping));
+        if (validation.data.length === 0) {
+          throw new Error("it has no valid rows");
+        }
+
+        // name each dataset after its file, numbering any files with the same name
+        const baseName = name.replace(/\.[^.]+$/, "");
+        const nSameName = datasets.filter(dataset => dataset.baseName === baseName).length;
+        datasets.push({
+          name: nSameName > 0 ? `${baseName} (${nSameName + 1})` : baseName,
+          baseName,
+          rows: validation.data,
+          nProblems: validation.problems.length
+        });
+      } catch (error) {
+        showError(new Error(`Could not compare ${name}: ${error.message}`));
+        return;
+      }
+    }
+
+    comparedDatasets = datasets;
+    const nProblems = d3.sum(datasets, dataset => dataset.nProblems);
+    compareStatus.text(datasets.map(dataset => dataset.name).join(", ")
+      + (nProblems > 0 ? ` (${nProblems} row(s) or point(s) dropped)` : ""));
+    clearComparisonButton.style("display", datasets.length > 0 ? null : "none");
+    onCompare(datasets);
+  }
+
+  function refresh() {
+    if (currentSheet) {
+      mapColumns(currentSheet.rows, currentSheet.source);
+    }
+  }
+
+  return { load, loadRows, compare, refresh };
+}
+
+/**
+ * Generates the collapsible panel that maps the columns of an input sheet onto a results sheet, with a select for
+ * each column of the chosen format. The panel is expanded when a required column couldn't be mapped, in which case
+ * nothing is plotted until the mapping is applied. Applied mappings are saved so that files laid out the same way are
+ * mapped the same way.
+ * @param {D3Selection} container The element that holds the panel.
+ * @param {string[]} colNames The column names of the input sheet.
+ * @param {ColumnMapping} mapping The mapping the panel starts with.
+ * @param {{fileName: string, sheetName: string}} source The workbook and sheet being mapped.
+ * @param {function(ColumnMapping): void} onApply Called with the mapping when it is applied.
+ */
+function makeColumnMappingPanel(container, colNames, mapping, source, onApply) {
+  const unmappedFields = getUnmappedFields(mapping, colNames);
+  const panel = container.append("details")
+    .attr("class", "column-mapping")
+    .property("open", unmappedFields.length > 0)
+    .style("max-width", "100%")
+    .style("box-sizing", "border-box")
+    .style("padding", "8px")
+    .style("margin", "5px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .style("font-size", "16px");
+
+  panel.append("summary")
+    .style("cursor", "pointer")
+    .style("font-weight", unmappedFields.length > 0 ? "bold" : null)
+    .text(unmappedFields.length > 0
+      ? `⚠ Choose the ${unmappedFields.join(", ")} column(s) of ${source.fileName} to plot it`
+      : `Columns of ${source.fileName} (${mapping.format} format)`);
+
+  const form = panel.append("div")
+    .style("display", "flex")
+    .style("flex-wrap", "wrap")
+    .style("align-items", "center")
+    .style("gap", "10px")
+    .style("margin-top", "8px");
+
+  const formatSelect = form.append("label")
+    .text("Layout: ")
+    .append("select")
+    .attr("class", "mapping-format")
+    .style("font-size", "16px")
+    .on("change", updateFields);
+  formatSelect.selectAll("option")
+    .data([
+      { value: "wide", text: "Wide, one row per chemical and an RF column per sample" },
+      { value: "long", text: "Long, one row per chemical and sample" }
+    ])
+    .join("option")
+    .attr("value", d => d.value)
+    .text(d => d.text);
+  formatSelect.property("value", mapping.format);
+
+  const fieldLabels = form.selectAll("label.mapping-field")
+    .data(columnFields)
+    .join("label")
+    .attr("class", "mapping-field")
+    .text(d => `${d.column}${d.required ? "" : " (optional)"}: `);
+  fieldLabels.append("select")
+    .style("font-size", "16px")
+    .attr("aria-label", d => `The ${d.column} column`)
+    .selectAll("option")
+    .data(d => [null, ...colNames].map(colName => ({ colName, selected: colName === mapping[d.id] })))
+    .join("option")
+    .attr("value", d => d.colName ?? "")
+    .property("selected", d => d.selected)
+    .text(d => d.colName ?? "(none)");
+
+  const rfPrefixLabel = form.append("label")
+    .text("RF columns start with: ");
+  const rfPrefixInput = rfPrefixLabel.append("input")
+    .attr("class", "mapping-rf-prefix")
+    .attr("type", "text")
+    .property("value", mapping.rfPrefix)
+    .style("width", "120px")
+    .style("font-size", "16px")
+    .on("input", updateFields);
+  const rfColumnCount = rfPrefixLabel.append("span")
+    .style("color", "#555")
+    .style("margin-left", "5px");
+
+  form.append("button")
+    .style("font-size", "16px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .text("Apply")
+    .on("click", applyMapping);
+
+  const status = form.append("span")
+    .style("color", "#cc0000");
+
+  updateFields();
+
+  // only show the columns used by the chosen format, and count the RF columns the prefix picks out
+  function updateFields() {
+    const format = formatSelect.property("value");
+    fieldLabels.style("display", d => d.formats.includes(format) ? null : "none");
+    rfPrefixLabel.style("display", format === "wide" ? null : "none");
+    const rfPrefix = rfPrefixInput.property("value").toLowerCase();
+    const nRFColumns = rfPrefix === ""
+      ? 0
+      : colNames.filter(colName => colName.toLowerCase().startsWith(rfPrefix)).length;
+    rfColumnCount.text(`(${nRFColumns} found)`);
+  }
+
+  function getMapping() {
+    const newMapping = { format: formatSelect.property("value"), rfPrefix: rfPrefixInput.property("value") };
+    fieldLabels.select("select").each(function(d) {
+      newMapping[d.id] = this.value === "" ? null : this.value;
+    });
+    return newMapping;
+  }
+
+  function applyMapping() {
+    const newMapping = getMapping();
+    const missingFields = getUnmappedFields(newMapping, colNames);
+    if (missingFields.length > 0) {
+      status.text(`Choose the ${missingFields.join(", ")} column(s) first`);
+      return;
+    }
+    status.text("");
+    panel.property("open", false);
+    panel.select("summary")
+      .style("font-weight", null)
+      .text(`Columns of ${source.fileName} (${newMapping.format} format)`);
+    onApply(newMapping);
+  }
+}
+
+/**
+ * Generates the bar that saves the current view as a named preset in localStorage and restores saved presets. Presets
+ * are shared by every strip plot on the site.
+ * @param {D3Selection} container The element that holds the strip plot.
+ * @param {function(): ?StripPlotView} getView Returns the current view.
+ * @param {function(StripPlotView): Promise<void>} setView Restores a view.
+ * @param {?function(): string} getLink Returns a link to the current view, or null to leave out the copy link button.
+ */
+function makePresetPanel(container, getView, setView, getLink) {
+  const presetPanel = container.append("div")
+    .attr("class", "view-presets")
+    .style("display", "flex")
+    .style("align-items", "center")
+    .style("gap", "10px")
+    .style("max-width", "100%")
+    .style("box-sizing", "border-box")
+    .style("padding", "8px")
+    .style("margin", "5px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .style("font-size", "16px");
+
+  const presetSelect = presetPanel.append("label")
+    .text("View preset: ")
+    .append("select")
+    .attr("class", "preset-select")
+    .style("font-size", "16px")
+    .on("change", (event) => {
+      const preset = loadPresets()[event.target.value];
+      if (preset) {
+        setView(preset);
+      }
+    });
+
+  const presetNameInput = presetPanel.append("input")
+    .attr("class", "preset-name")
+    .attr("type", "text")
+    .attr("placeholder", "Preset name")
+    .style("width", "200px")
+    .style("font-size", "16px");
+
+  const buttons = [
+    { text: "Save view", onClick: saveView },
+    { text: "Delete preset", onClick: deletePreset },
+    ...(getLink ? [{ text: "Copy link", onClick: copyLink }] : [])
+  ];
+  buttons.forEach(d => {
+    presetPanel.append("button")
+      .style("font-size", "16px")
+      .style("border", "2px solid #999")
+      .style("border-radius", "8px")
+      .text(d.text)
+      .on("click", d.onClick);
+  });
+
+  const status = presetPanel.append("span")
+    .style("color", "#555");
+
+  updatePresetOptions();
+
+  function updatePresetOptions(selectedName = "") {
+    presetSelect.selectAll("option")
+      .data(["", ...Object.keys(loadPresets()).sort((a, b) => a.localeCompare(b))])
+      .join("option")
+      .attr("value", d => d)
+      .text(d => d === "" ? "Choose a preset" : d);
+    presetSelect.property("value", selectedName);
+  }
+
+  function saveView() {
+    const name = presetNameInput.property("value").trim() || presetSelect.property("value");
+    const view = getView();
+    if (!name || !view) {
+      status.text(view ? "Name the preset first" : "Nothing to save");
+      return;
+    }
+    try {
+      savePresets({ ...loadPresets(), [name]: view });
+    } catch (error) {
+      status.text(error.message);
+      return;
+    }
+    presetNameInput.property("value", "");
+    updatePresetOptions(name);
+    status.text(`Saved "${name}"`);
+  }
+
+  function deletePreset() {
+    const name = presetSelect.property("value");
+    if (!name) {
+      return;
+    }
+    const presets = loadPresets();
+    delete presets[name];
+    try {
+      savePresets(presets);
+    } catch (error) {
+      status.text(error.message);
+      return;
+    }
+    updatePresetOptions();
+    status.text(`Deleted "${name}"`);
+  }
+
+  function copyLink() {
+    navigator.clipboard.writeText(getLink())
+      .then(() => status.text("Link copied"))
+      .catch(() => status.text("Could not copy the link"));
+  }
+}
+
+/**
+ * Generates the collapsible panel that lists every problem validateData found in the input data. The panel replaces
+ * any existing panel and is hidden when there is nothing to report. It is expanded when nothing could be plotted.
+ * @param {D3Selection} container The element that holds the strip plot.
+ * @param {{data: object[], problems: DataProblem[], missingColumns: string[]}} validation The output of validateData.
+ */
+function makeProblemsPanel(container, { data, problems, missingColumns }) {
+  container.select(".data-problems").remove();
+
+  if (problems.length === 0 && missingColumns.length === 0) {
+    return;
+  }
+
+  const nRowsDropped = problems.filter(d => d.dropped === "row").length;
+  const nPointsDropped = problems.filter(d => d.dropped === "point").length;
+  let summary;
+  if (missingColumns.length > 0) {
+    summary = `Nothing to plot, missing required column(s): ${missingColumns.join(", ")}`;
+  } else if (data.length === 0) {
+    summary = `Nothing to plot, all ${nRowsDropped} rows were dropped`;
+  } else {
+    summary = `${problems.length} data problem(s): ${nRowsDropped} row(s) and ${nPointsDropped} point(s) dropped`;
+  }
+
+  const panel = container.append("details")
+    .attr("class", "data-problems")
+    .property("open", data.length === 0)
+    .style("max-width", "100%")
+    .style("box-sizing", "border-box")
+    .style("padding", "8px")
+    .style("margin", "5px")
+    .style("border", "2px solid #cc0000")
+    .style("border-radius", "8px")
+    .style("background-color", "#fff0f0")
+    .style("font-size", "16px");
+
+  panel.append("summary")
+    .style("cursor", "pointer")
+    .style("font-weight", "bold")
+    .text(`⚠ ${summary}`);
+
+  if (problems.length === 0) {
+    return;
+  }
+
+  const table = panel.append("div")
+    .style("max-height", "200px")
+    .style("overflow-y", "auto")
+    .style("margin-top", "8px")
+    .append("table")
+    .style("border-collapse", "collapse")
+    .style("width", "100%");
+
+  const columns = [
+    { name: "Row", value: d => d.row },
+    { name: "Chemical", value: d => d.chemical },
+    { name: "Sample", value: d => d.sample ?? "(whole row)" },
+    { name: "Value", value: d => d.value ?? "(blank)" },
+    { name: "Reason", value: d => d.reason }
+  ];
+
+  table.append("thead").append("tr")
+    .selectAll("th")
+    .data(columns)
+    .join("th")
+    .style("text-align", "left")
+    .style("border-bottom", "1px solid #999")
+    .style("padding", "2px 8px")
+    .text(d => d.name);
+
+  table.append("tbody")
+    .selectAll("tr")
+    .data(problems)
+    .join("tr")
+    .selectAll("td")
+    .data(d => columns.map(col => col.value(d)))
+    .join("td")
+    .style("padding", "2px 8px")
+    .text(d => d);
+}
+
+/**
+ * Builds the strip plots application from the rows of an INTERPRET NTA results sheet, replacing any plots that were
+ * previously rendered in the container.
+ * @param {D3Selection} container The element that holds the strip plot.
+ * @param {object[]} data The rows of the sheet, as returned by getSheetData.
+ * @param {{fileName: string, sheetName: string, path: ?string}} source The workbook and sheet the data was read
+ * from, and the workbook's path if it was loaded from one.
+ * @param {{
+ *   id: number,
+ *   mode: string,
+ *   sort: string,
+ *   sortOrder: string,
+ *   groupBy: ?string,
+ *   rtBinWidth: number,
+ *   customOrder: string[],
+ *   colorBy: string,
+ *   sampleGroupPattern: RegExp,
+ *   palette: string[],
+ *   overlays: Set<string>,
+ *   rowsPerPage: number,
+ *   transform: string,
+ *   xDomain: ?number[]
+ * }} state The instance's id and its current view settings, which are kept up to date so they carry over when new
+ * data is loaded.
+ * @param {d3.Dispatch} dispatch The instance's event dispatcher.
+ * @param {{name: string, rows: object[]}[]} comparedDatasets The validated rows of each dataset the data is compared
+ * with.
+ * @returns {?{setMode: function(string): void, setSort: function(string, string=): void,
+ * setTransform: function(string): void, getView: function(): StripPlotView, setView: function(StripPlotView): void,
+ * destroy: function(): void}} Controls for the rendered plot, or null if there was no valid data to plot.
+ */
+function renderStripPlots(container, data, source, state, dispatch, comparedDatasets) {
+  // remove the plots for any previously loaded data
+  container.select(".strip-plots-grid").remove();
+
+  // check for missing columns and bad values, and report anything we have to drop
+  const validation = validateData(data);
+  makeProblemsPanel(container, validation);
+  if (validation.data.length === 0) {
+    return null;
+  }
+
+  // keep the values of the columns the chemicals can be grouped by, such as a chemical class, which cleaning removes.
+  // They are keyed by chemical name, mode and dataset, and a grouping that this sheet doesn't have is turned off
+  const groupColumns = getGroupColumns(validation.data);
+  const groupValues = new Map();
+  const getGroupValuesKey = (chemical, mode, dataset) => JSON.stringify([String(chemical), mode, dataset]);
+  const addGroupValues = (rows, dataset) => rows.forEach(row => {
+    const key = getGroupValuesKey(row["Chemical Name"], row["Ionization Mode"], dataset);
+    if (!groupValues.has(key)) {
+      groupValues.set(key, Object.fromEntries(groupColumns.map(colName => [colName, row[colName] ?? null])));
+    }
+  });
+  addGroupValues(validation.data, null);
+  comparedDatasets.forEach(dataset => addGroupValues(dataset.rows, dataset.name));
+  if (state.groupBy !== null && state.groupBy !== "Retention Time" && !groupColumns.includes(state.groupBy)) {
+    state.groupBy = null;
+  }
+
+  // remove unwanted columns and raw RF values and add log RF values
+  data = cleanData(validation.data, state.transform);
+
+  // add the rows of the compared datasets, cleaned the same way, naming each row's dataset so it gets its own medians
+  // and sub-row. The compared rows are kept for the next render, so clean copies
+  const datasetNames = comparedDatasets.map(dataset => dataset.name);
+  const comparing = datasetNames.length > 0;
+  const mainDatasetName = source.fileName.replace(/\.[^.]+$/, "");
+  const getDatasetName = d => d.dataset ?? mainDatasetName;
+  comparedDatasets.forEach(dataset => {
+    cleanData(dataset.rows.map(row => ({ ...row })), state.transform).forEach(row => {
+      row["Dataset"] = dataset.name;
+      data.push(row);
+    });
+  });
+
+  // leave any points excluded in a previous session out of the medians
+  const exclusions = loadExclusions(source);
+  calculateMedianLogRFs(data, exclusions);
+
+  // set the number of chemicals per plot, the number of plots depends on how many chemicals pass the filters
+  const nChemsPerPlot = state.rowsPerPage;
+
+  // make the parent grid container for housing the application. The plot column takes the width the buttons and the
+  // side column leave, and on narrow screens the side column moves below the plot (see updateLayout)
+  const parentGridContainer = container.append("div")
+    .style("display", "grid")
+    .style("grid-template-columns", "auto minmax(0, 1fr) 300px")
+    .style("grid-template-rows", "1fr")
+    .attr("class", "strip-plots-grid")
+    .style("gap", "5px")
+    .style("margin", "5px auto");
+
+  // add search and filter controls in a row above the plot
+  const allPoints = getPointsData(data, "both");
+  const sampleNames = [...new Set(allPoints.map(d => d.sampleName))]
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  const [ rtExtentMin, rtExtentMax ] = d3.extent(data, d => d["Retention Time"]);
+  const filters = { rtMin: null, rtMax: null, logRFMin: null, logRFMax: null, hiddenSamples: new Set() };
+  let searchedChemical = null;
+
+  const filterPanel = parentGridContainer.append("div")
+    .attr("class", "filter-panel")
+    .style("grid-column", "1 / -1")
+    .style("display", "flex")
+    .style("flex-wrap", "wrap")
+    .style("align-items", "center")
+    .style("gap", "8px 16px")
+    .style("padding", "8px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .style("font-size", "16px");
+
+  // the datalist offers chemical names and Feature IDs as the user types
+  const chemicalListId = `strip-plot-${state.id}-chemicals`;
+  filterPanel.append("datalist")
+    .attr("id", chemicalListId)
+    .selectAll("option")
+    .data(Array.from(d3.group(data, d => d["Chemical Name"]).values(), rows => rows[0]))
+    .join("option")
+    .attr("value", d => d["Chemical Name"])
+    .text(d => `Feature ID ${d["Feature ID"]}`);
+
+  filterPanel.append("label")
+    .text("Find: ")
+    .append("input")
+    .attr("class", "chemical-search")
+    .attr("type", "search")
+    .attr("list", chemicalListId)
+    .attr("placeholder", "Chemical name or Feature ID")
+    .style("width", "250px")
+    .style("font-size", "16px")
+    .on("change", (event) => searchChemical(event.target.value))
+    .on("keydown", (event) => {
+      if (event.key === "Enter") {
+        searchChemical(event.target.value);
+      }
+    });
+
+  const searchStatus = filterPanel.append("span")
+    .style("color", "#cc0000");
+
+  const rtLabel = filterPanel.append("label")
+    .text("RT: ");
+
+  const rtSliders = ["rtMin", "rtMax"].map(key => {
+    return rtLabel.append("input")
+      .attr("class", `rt-slider ${key}`)
+      .attr("type", "range")
+      .attr("min", rtExtentMin)
+      .attr("max", rtExtentMax)
+      .attr("step", "any")
+      .property("value", key === "rtMin" ? rtExtentMin : rtExtentMax)
+      .style("width", "120px")
+      .style("vertical-align", "middle")
+      .on("input", updateRTFilter);
+  });
+
+  const rtText = rtLabel.append("span");
+
+  const logRFLabel = filterPanel.append("label");
+
+  const logRFTitle = logRFLabel.append("span")
+    .text(`${rfTransforms[state.transform].title}: `);
+
+  ["logRFMin", "logRFMax"].forEach((key, i) => {
+    logRFLabel.append("input")
+      .attr("class", `log-rf-filter ${key}`)
+      .attr("type", "number")
+      .attr("step", 0.5)
+      .attr("placeholder", i === 0 ? "min" : "max")
+      .style("width", "70px")
+      .style("font-size", "16px")
+      .on("change", (event) => {
+        const value = event.target.value === "" ? null : Number(event.target.value);
+        filters[key] = Number.isFinite(value) ? value : null;
+        makeStripPlot(data, sortedBy, showMode, false);
+      });
+    if (i === 0) {
+      logRFLabel.append("span").text(" to ");
+    }
+  });
+
+  filterPanel.append("button")
+    .style("font-size", "16px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .text("Reset filters")
+    .on("click", () => {
+      Object.assign(filters, { rtMin: null, rtMax: null, logRFMin: null, logRFMax: null });
+      filters.hiddenSamples.clear();
+      brushedChemicals = null;
+      rtSliders[0].property("value", rtExtentMin);
+      rtSliders[1].property("value", rtExtentMax);
+      filterPanel.selectAll("input.log-rf-filter").property("value", "");
+      sampleCheckboxes.property("checked", true);
+      updateRTFilter();
+    });
+
+  // choose how the RF values are transformed, and optionally fix the axis range to compare plots of other datasets
+  filterPanel.append("label")
+    .text("Scale: ")
+    .append("select")
+    .attr("class", "rf-transform")
+    .style("font-size", "16px")
+    .on("change", (event) => setTransform(event.target.value))
+    .selectAll("option")
+    .data(Object.entries(rfTransforms))
+    .join("option")
+    .attr("value", ([key]) => key)
+    .property("selected", ([key]) => key === state.transform)
+    .text(([, transform]) => transform.label);
+
+  const axisRangeLabel = filterPanel.append("label")
+    .text("Axis range: ");
+
+  const axisRangeInputs = ["min", "max"].map((bound, i) => {
+    const input = axisRangeLabel.append("input")
+      .attr("class", `axis-range ${bound}`)
+      .attr("type", "number")
+      .attr("placeholder", "auto")
+      .property("value", state.xDomain?.[i] ?? "")
+      .style("width", "70px")
+      .style("font-size", "16px")
+      .on("change", updateAxisRange);
+    if (i === 0) {
+      axisRangeLabel.append("span").text(" to ");
+    }
+    return input;
+  });
+
+  const sampleChecklist = filterPanel.append("div")
+    .style("display", "flex")
+    .style("flex-wrap", "wrap")
+    .style("align-items", "center")
+    .style("gap", "4px 12px")
+    .style("flex-basis", "100%");
+
+  sampleChecklist.append("span")
+    .text("Samples:");
+
+  const sampleCheckboxes = sampleChecklist.selectAll("label")
+    .data(sampleNames)
+    .join("label")
+    .text(d => ` ${d}`)
+    .insert("input", ":first-child")
+    .attr("type", "checkbox")
+    .property("checked", true)
+    .on("change", (event, sampleName) => {
+      if (event.target.checked) {
+        filters.hiddenSamples.delete(sampleName);
+      } else {
+        filters.hiddenSamples.add(sampleName);
+      }
+      makeStripPlot(data, sortedBy, showMode, false);
+    });
+
+  const filterStatus = filterPanel.append("div")
+    .style("color", "#555");
+
+  // jump to a page when there are too many chemicals for one plot
+  const pageLabel = filterPanel.append("label")
+    .text("Page: ");
+
+  const pageSelect = pageLabel.append("select")
+    .attr("class", "page-select")
+    .style("font-size", "16px")
+    .on("change", (event) => scrollToPage(Number(event.target.value)));
+
+  // add the sort and grouping controls, and the custom order, in a row above the plot
+  const sortPanel = parentGridContainer.append("div")
+    .attr("class", "sort-panel")
+    .style("grid-column", "1 / -1")
+    .style("display", "flex")
+    .style("flex-wrap", "wrap")
+    .style("align-items", "center")
+    .style("gap", "8px 16px")
+    .style("padding", "8px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .style("font-size", "16px");
+
+  const sortLabel = sortPanel.append("label")
+    .text("Sort by: ");
+
+  // the shift between datasets can only be chosen while datasets are compared
+  const sortKeySelect = sortLabel.append("select")
+    .attr("class", "sort-key")
+    .style("font-size", "16px")
+    .on("change", (event) => setSort(event.target.value));
+
+  sortKeySelect.selectAll("option")
+    .data(Object.entries(sortOptions).filter(([key]) => key !== "shift" || comparing))
+    .join("option")
+    .attr("value", ([key]) => key)
+    .text(([, sortOption]) => sortOption.label);
+
+  const sortOrderSelect = sortLabel.append("select")
+    .attr("class", "sort-order")
+    .attr("aria-label", "Sort order")
+    .style("font-size", "16px")
+    .style("margin-left", "4px")
+    .on("change", (event) => setSort(sortedBy, event.target.value));
+
+  sortOrderSelect.selectAll("option")
+    .data(Object.entries(sortOrders))
+    .join("option")
+    .attr("value", ([order]) => order)
+    .text(([, label]) => label);
+
+  // the chemicals can be grouped into retention time bins, or by a text column of the sheet such as a chemical class
+  const groupBySelect = sortPanel.append("label")
+    .text("Group by: ")
+    .append("select")
+    .attr("class", "group-by")
+    .style("font-size", "16px")
+    .on("change", (event) => setGrouping(event.target.value === "" ? null : event.target.value));
+
+  groupBySelect.selectAll("option")
+    .data([["", "None"], ["Retention Time", "Retention time bins"], ...groupColumns.map(colName => [colName, colName])])
+    .join("option")
+    .attr("value", ([value]) => value)
+    .text(([, text]) => text);
+
+  const rtBinLabel = sortPanel.append("label")
+    .text("Bin width: ");
+
+  const rtBinInput = rtBinLabel.append("input")
+    .attr("class", "rt-bin-width")
+    .attr("type", "number")
+    .attr("min", 0.1)
+    .attr("step", "any")
+    .style("width", "70px")
+    .style("font-size", "16px")
+    .on("change", (event) => {
+      const binWidth = Number(event.target.value);
+      state.rtBinWidth = binWidth > 0 ? binWidth : state.rtBinWidth;
+      setGrouping(state.groupBy);
+    });
+
+  rtBinLabel.append("span")
+    .text(" min");
+
+  // like the data table, the custom order is only listed while it is open
+  const customOrderDetails = sortPanel.append("details")
+    .attr("class", "custom-order")
+    .style("flex-basis", "100%")
+    .on("toggle", updateCustomOrderList);
+
+  customOrderDetails.append("summary")
+    .style("cursor", "pointer")
+    .text("Custom order");
+
+  const customOrderControls = customOrderDetails.append("div")
+    .style("display", "flex")
+    .style("align-items", "center")
+    .style("gap", "10px")
+    .style("margin-top", "8px");
+
+  customOrderControls.append("span")
+    .style("color", "#555")
+    .text("Drag the chemicals, or use their arrow buttons, to put them in the order you want. The plot is then sorted "
+      + "by the custom order, and chemicals missing from it go last.");
+
+  customOrderControls.append("button")
+    .style("font-size", "16px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .style("white-space", "nowrap")
+    .text("Reset order")
+    .on("click", () => {
+      state.customOrder = [];
+      makeStripPlot(data, sortedBy, showMode, false);
+    });
+
+  const customOrderList = customOrderDetails.append("ol")
+    .attr("class", "custom-order-list")
+    .style("max-height", "300px")
+    .style("overflow-y", "auto")
+    .style("margin", "8px 0 0 0")
+    .style("padding-left", "40px");
+
+  // list the compared datasets, with the number of each one's sub-row, in a row above the plot
+  const datasetPanel = parentGridContainer.append("div")
+    .attr("class", "dataset-panel")
+    .style("grid-column", "1 / -1")
+    .style("display", comparing ? "flex" : "none")
+    .style("flex-wrap", "wrap")
+    .style("align-items", "center")
+    .style("gap", "8px 16px")
+    .style("padding", "8px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .style("font-size", "16px");
+
+  datasetPanel.append("span")
+    .text("Datasets:");
+
+  const datasetRowCounts = d3.rollup(data, rows => new Set(rows.map(row => row["Chemical Name"])).size,
+    row => row["Dataset"] ?? null);
+  const datasetEntries = datasetPanel.selectAll("span.dataset-entry")
+    .data([null, ...datasetNames])
+    .join("span")
+    .attr("class", "dataset-entry");
+  datasetEntries.append("b")
+    .text((dataset, i) => i + 1);
+  datasetEntries.append("span")
+    .text(dataset => ` ${dataset ?? mainDatasetName}${dataset === null ? " (main)" : ""}, `
+      + `${datasetRowCounts.get(dataset) ?? 0} chemicals`);
+
+  const shiftSortButton = datasetPanel.append("button")
+    .attr("class", "shift-sort-button")
+    .attr("aria-pressed", state.sort === "shift")
+    .style("font-size", "16px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .style("background-color", state.sort === "shift" ? "#ddffdd" : "#efefef")
+    .text("Sort by largest shift")
+    .on("click", () => setSort(sortedBy === "shift" ? "ml" : "shift"));
+
+  datasetPanel.append("div")
+    .style("color", "#555")
+    .style("flex-basis", "100%")
+    .text("Chemicals are matched by name and ionization mode. Each dataset is drawn on its own numbered sub-row, and "
+      + "the shift is the largest difference between a compared dataset's median and the main dataset's median.");
+
+  // add button to toggle between sorted by retention time and median log RF
+  const buttonContainer = parentGridContainer.append("div");
+  
+  const sortButton = buttonContainer.append("button")
+    .attr("class", "sort-button")
+    .attr("aria-label", "Sort by retention time")
+    .attr("aria-pressed", state.sort === "rt")
+    .style("height", "40px")
+    .style("width", "60px")
+    .style("font-size", '28px')
+    .style("padding-left", "0px")
+    .style("padding-right", "10px")
+    .style("padding-bottom", "40px")
+    .style("margin-bottom", "10px")
+    .style("margin-left", "5px")
+    .style("text-align", "left")
+    .style("margin-top", '10px')
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .html("&#x1f503")
+    .on("mouseover", (event) => {
+      d3.select(event.currentTarget).transition().duration(200)
+        .style("border-color", "black");
+    })
+    .on("mouseout", (event) => {
+      d3.select(event.currentTarget).transition().duration(200)
+        .style("border-color", "#999");
+    })
+    .on("click", () => {
+      setSort(sortedBy === "rt" ? "ml" : "rt");
+    });
+
+  // add buttons to toggle between which ionization mode is shown  
+  const modeButtonData = [
+    { "text": "+", "id": "pos", "mode": "+", "label": "Show ESI+ data" },
+    { "text": "-", "id": "neg", "mode": "-", "label": "Show ESI- data" },
+    { "text": "+/-", "id": "both", "mode": "both", "label": "Show ESI+ and ESI- data side by side" }
+  ];
+
+  const modeButtons = {};
+  modeButtonData.forEach(d => {
+    modeButtons[d.mode] = buttonContainer.append("button")
+    .attr("class", `mode-button ${d.id}`)
+    .attr("aria-label", d.label)
+    .attr("aria-pressed", d.mode === state.mode)
+    .style("height", "40px")
+    .style("width", "60px")
+    .style("font-size", () => d.text === "-" ? "36px" : '26px')
+    .style("padding-left", () => d.text === "+/-" ? "3px": d.text === "+" ? "11px" : "14px")
+    .style("padding-right", "10px")
+    .style("padding-bottom", () => d.text === "-" ? "18px" :"1px")
+    .style("padding-top", () => d.text === "-" ? "0px" : "1px")
+    .style("margin-left", "5px")
+    .style("background-color", d.mode === state.mode ? "#ddffdd" : "#efefef")
+    .style("text-align", "left")
+    .style("margin-top", '2px')
+    .style("line-height", "34px")
+    .style("border", `2px solid #999`)
+    .style("border-radius", "8px")
+    .html(d.text)
+    .on("mouseover", (event) => {
+      d3.select(event.currentTarget).transition().duration(200)
+        .style("border-color", "black");
+    })
+    .on("mouseout", (event) => {
+      d3.select(event.currentTarget).transition().duration(200)
+        .style("border-color", "#999");
+    })
+    .on("click", () => {
+      setMode(d.mode);
+    });
+  });
+
+  // add buttons to export the plot as an SVG or PNG, and the plotted points as a CSV
+  const exportButtonData = [
+    {
+      text: "SVG",
+      id: "export-svg",
+      onClick: () => {
+        downloadFile(getFullPlotSVG().svgString, `${getExportFileName()}.svg`, "image/svg+xml");
+      }
+    },
+    {
+      text: "PNG",
+      id: "export-png",
+      onClick: () => {
+        const { svgString, width, height } = getFullPlotSVG();
+        downloadPNG(svgString, width, height, `${getExportFileName()}.png`);
+      }
+    },
+    {
+      text: "CSV",
+      id: "export-csv",
+      onClick: () => {
+        const columns = {
+          ...(comparing ? { "Dataset": getDatasetName } : {}),
+          "Chemical Name": d => getBaseChemicalName(d.chemical),
+          "Ionization Mode": d => d.mode,
+          "Feature ID": d => d.featureId,
+          "Sample": d => d.sampleName,
+          "Sample Group": d => d.sampleGroup,
+          "Retention Time": d => d.retentionTime,
+          [rfTransforms[state.transform].title]: d => d.logRF,
+          [`Median ${rfTransforms[state.transform].title}`]: d => d.medianLogRF,
+          "Outlier": d => d.outlier,
+          "Excluded": d => d.excluded
+        };
+        const rows = currentPointsData.map(d => {
+          return Object.fromEntries(Object.entries(columns).map(([name, value]) => [name, value(d)]));
+        });
+        downloadFile(toCSV(rows, Object.keys(columns)), `${getExportFileName()}_points.csv`, "text/csv");
+      }
+    }
+  ];
+
+  exportButtonData.forEach(d => {
+    buttonContainer.append("button")
+      .attr("class", `export-button ${d.id}`)
+      .attr("title", `Export ${d.text}`)
+      .style("height", "40px")
+      .style("width", "60px")
+      .style("font-size", "14px")
+      .style("font-weight", "bold")
+      .style("padding-left", "6px")
+      .style("padding-right", "10px")
+      .style("margin-left", "5px")
+      .style("margin-top", d.id === "export-svg" ? "10px" : "2px")
+      .style("text-align", "left")
+      .style("border", "2px solid #999")
+      .style("border-radius", "8px")
+      .text(d.text)
+      .on("mouseover", (event) => {
+        d3.select(event.currentTarget).transition().duration(200)
+          .style("border-color", "black");
+      })
+      .on("mouseout", (event) => {
+        d3.select(event.currentTarget).transition().duration(200)
+          .style("border-color", "#999");
+      })
+      .on("click", d.onClick);
+  });
+
+  // add buttons to toggle the distribution overlays drawn for each chemical
+  const overlayButtons = {};
+  Object.entries(overlayOptions).forEach(([id, overlay], i) => {
+    overlayButtons[id] = buttonContainer.append("button")
+      .attr("class", `overlay-button ${id}`)
+      .attr("title", overlay.label)
+      .attr("aria-label", overlay.label)
+      .attr("aria-pressed", state.overlays.has(id))
+      .style("height", "40px")
+      .style("width", "60px")
+      .style("font-size", "14px")
+      .style("font-weight", "bold")
+      .style("padding-left", "6px")
+      .style("padding-right", "10px")
+      .style("margin-left", "5px")
+      .style("margin-top", i === 0 ? "10px" : "2px")
+      .style("text-align", "left")
+      .style("background-color", state.overlays.has(id) ? "#ddffdd" : "#efefef")
+      .style("border", "2px solid #999")
+      .style("border-radius", "8px")
+      .text(overlay.text)
+      .on("mouseover", (event) => {
+        d3.select(event.currentTarget).transition().duration(200)
+          .style("border-color", "black");
+      })
+      .on("mouseout", (event) => {
+        d3.select(event.currentTarget).transition().duration(200)
+          .style("border-color", "#999");
+      })
+      .on("click", () => {
+        toggleOverlay(id);
+      });
+  });
+
+  // add a button to reset the zoom and pan, which Ctrl+Space also does. It is only enabled while the plot is zoomed
+  const resetZoomButton = buttonContainer.append("button")
+    .attr("class", "reset-zoom-button")
+    .attr("title", "Reset zoom (Ctrl+Space)")
+    .attr("aria-label", "Reset zoom")
+    .attr("disabled", true)
+    .style("height", "40px")
+    .style("width", "60px")
+    .style("font-size", "24px")
+    .style("padding-left", "6px")
+    .style("padding-right", "10px")
+    .style("margin-left", "5px")
+    .style("margin-top", "10px")
+    .style("text-align", "left")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .html("&#x21ba")
+    .on("mouseover", (event) => {
+      d3.select(event.currentTarget).transition().duration(200)
+        .style("border-color", "black");
+    })
+    .on("mouseout", (event) => {
+      d3.select(event.currentTarget).transition().duration(200)
+        .style("border-color", "#999");
+    })
+    .on("click", resetZoom);
+
+  const helpTooltipButton = buttonContainer.append("button")
+    .attr("class", "help-button")
+    .attr("aria-label", "Help")
+    .attr("aria-controls", `strip-plot-${state.id}-help`)
+    .attr("aria-pressed", false)
+    .style("height", "35px")
+    .style("width", "60px")
+    .style("font-size", '28px')
+    .style("padding-left", "6px")
+    .style("padding-right", "10px")
+    .style("padding-bottom", "4px")
+    .style("margin-top", "68px")
+    .style("margin-left", "5px")
+    .style("text-align", "left")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .style("color", "#777")
+    .style("background-color", "#fff")
+    .text("?")
+    .on("mouseover focus", () => {
+      helpTooltipButton.transition().duration(300)
+        .style("border-color", "black");
+      if (!helpTooltipClicked) {
+        instructions.transition().duration(500)
+          .style("opacity", 1);
+      }
+    })
+    .on("mouseout blur", () => {
+      helpTooltipButton.transition().duration(300)
+        .style("border-color", "#999");
+      if (!helpTooltipClicked) {
+        instructions.transition().duration(500)
+          .style("opacity", 0);
+      }
+    })
+    .on("click", () => {
+      setHelpTooltip(!helpTooltipClicked);
+      notifyViewChange();
+    });
+
+  // make SVG container, which takes the keyboard focus so the points can be browsed with the arrow keys
+  const svgGridContainer = parentGridContainer.append("div")
+    .attr("class", "strip-plots-area")
+    .attr("tabindex", 0)
+    .attr("role", "application")
+    .attr("aria-label", "Strip plot. Use the arrow keys to move between points and chemicals, Home and End to jump "
+      + "to the ends of a row, Enter to pin the focused point, Shift+Enter to pin more, and X to exclude or include "
+      + "it. The data table below the plot lists the same points.")
+    .style("position", "relative")
+    .style("gap", "5px")
+    .style("padding", "8px")
+    .style("border", "3px solid black")
+    .style("border-radius", "5px")
+    .style("max-height", "650px")
+    .style("overflow-y", "scroll")
+    .style("overflow-x", "auto")
+    .style("background-color", "white")
+    .on("scroll", () => {
+      renderVisiblePages();
+      updatePageSelect();
+      notifyViewChange();
+    })
+    .on("keydown", handlePlotKeydown)
+    .on("focus blur", updateFocusRing);
+
+  // the right column holds the tooltip, with the help tooltip below it, and the pinned points
+  const sideColumn = parentGridContainer.append("div")
+    .attr("class", "side-column")
+    .style("position", "relative")
+    .style("align-self", "start");
+
+  // create tooltip container
+  const tooltipContainer = sideColumn.append("div")
+    .attr("class", "tooltip")
+    .style("border", "1px solid black")
+    .style("border-radius", "5px")
+    .style("background-color", "black")
+    .style("box-shadow", "0 0 5px rgba(0,0,0,0.3)")
+    .style("display", "block")
+    .style("line-height", "25px")
+    .style("max-width", "290px")
+    .style("height", "209px");
+
+  // screen readers announce the tooltip whenever a point is hovered or focused with the keyboard
+  const tooltip = tooltipContainer.append("div")
+    .attr("role", "status")
+    .attr("aria-live", "polite")
+    .attr("aria-atomic", true)
+    .style("padding", "4px")
+    .style("margin", "0px 0px 0px 4px")
+    .style("border", "1px solid black")
+    .style("border-radius", "2px 0px 0px 2px")
+    .style("background-color", "white")
+    .style("height", "201px")
+    .style("font-size", "17px");
+
+  // add instructions
+  parentGridContainer.append("div")
+  const instructions = tooltipContainer.append("div")
+    .attr("class", "help-tooltip")
+    .attr("id", `strip-plot-${state.id}-help`)
+    // float over the pinned points rather than pushing them down, and let clicks through while it is hidden. It lines
+    // up with the right edge of the side column, so it opens over the plot rather than off the edge of the page
+    .style("position", "absolute")
+    .style("right", 0)
+    .style("z-index", 1)
+    .style("pointer-events", "none")
+    .style("background-color", "white")
+    .style("padding-left", "10px")
+    .style("padding-top", "5px")
+    .style("border", "1px solid black")
+    .style("border-radius", "3px")
+    .style("font-size", "18px")
+    .style("line-height", "24px")
+    .style("margin-top", "38px")
+    .style("width", "min(500px, 90vw)")
+    .style("box-sizing", "border-box")
+    .style("opacity", 0)
+    .html(`${helpIntro.join("<br><br>")}<br><br><b>Features</b><br>` +
+      `<ul>${helpFeatures.map(feature => `<li>${feature}</li>`).join("")}</ul>`);
+
+  // add a table comparing the pinned points below the tooltip
+  const pinnedPanel = sideColumn.append("div")
+    .attr("class", "pinned-points")
+    .style("max-width", "274px")
+    .style("margin-top", "5px")
+    .style("padding", "8px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .style("font-size", "16px");
+
+  const pinnedCount = pinnedPanel.append("div")
+    .style("font-weight", "bold")
+    .text("Pinned points");
+
+  pinnedPanel.append("div")
+    .style("color", "#555")
+    .style("font-size", "14px")
+    .text("Click a point to pin it, Shift+click to pin more, or Shift+drag to pin every point in a region");
+
+  const pinnedColumns = [
+    { name: "Chemical", value: d => getBaseChemicalName(d.chemical) },
+    ...(comparing ? [{ name: "Dataset", value: getDatasetName }] : []),
+    { name: "Mode", value: d => d.mode },
+    { name: "Sample", value: d => d.sampleName },
+    { name: "Feature ID", value: d => d.featureId },
+    { name: "RT (min)", value: d => d.retentionTime },
+    { get name() { return rfTransforms[state.transform].title; }, value: d => d.logRF.toFixed(2) },
+    { name: "Δ Median", value: d => getDeviation(d) === null ? "–" : d3.format("+.2f")(getDeviation(d)) }
+  ];
+  const getPinnedRows = () => getPinnedPoints().map(d => {
+    return Object.fromEntries(pinnedColumns.map(col => [col.name, col.value(d)]));
+  });
+
+  const pinnedTable = pinnedPanel.append("div")
+    .style("max-height", "300px")
+    .style("overflow", "auto")
+    .style("margin-top", "8px")
+    .append("table")
+    .style("border-collapse", "collapse")
+    .style("font-size", "13px");
+
+  pinnedTable.append("thead").append("tr")
+    .selectAll("th")
+    .data([...pinnedColumns, { name: "" }])
+    .join("th")
+    .attr("scope", "col")
+    .style("text-align", "left")
+    .style("border-bottom", "1px solid #999")
+    .style("padding", "2px 4px")
+    .style("white-space", "nowrap")
+    .text(d => d.name);
+
+  const pinnedTableBody = pinnedTable.append("tbody");
+
+  const pinnedButtonData = [
+    {
+      text: "Copy",
+      onClick: () => {
+        const columnNames = pinnedColumns.map(col => col.name);
+        const rows = getPinnedRows().map(row => columnNames.map(name => row[name]).join("\t"));
+        navigator.clipboard.writeText([columnNames.join("\t"), ...rows].join("\n"))
+          .then(() => pinnedStatus.text("Copied"))
+          .catch(() => pinnedStatus.text("Could not copy the points"));
+      }
+    },
+    {
+      text: "Export CSV",
+      onClick: () => {
+        const csv = toCSV(getPinnedRows(), pinnedColumns.map(col => col.name));
+        downloadFile(csv, `${getExportFileName()}_pinned_points.csv`, "text/csv");
+      }
+    },
+    {
+      text: "Exclude",
+      onClick: () => setExcluded(getPinnedPoints(), true)
+    },
+    {
+      text: "Include",
+      onClick: () => setExcluded(getPinnedPoints(), false)
+    },
+    {
+      text: "Unpin all",
+      onClick: () => {
+        pinnedKeys.clear();
+        updatePins();
+      }
+    }
+  ];
+
+  const pinnedButtons = pinnedPanel.append("div")
+    .style("display", "flex")
+    .style("flex-wrap", "wrap")
+    .style("align-items", "center")
+    .style("gap", "6px")
+    .style("margin-top", "8px");
+
+  pinnedButtons.selectAll("button")
+    .data(pinnedButtonData)
+    .join("button")
+    .style("font-size", "14px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .text(d => d.text)
+    .on("click", (event, d) => d.onClick());
+
+  const pinnedStatus = pinnedButtons.append("span")
+    .style("color", "#555")
+    .style("font-size", "14px");
+
+  // add color-by controls and a clickable legend in a row below the plot
+  const colorPanel = parentGridContainer.append("div")
+    .style("grid-column", "1 / -1")
+    .style("padding", "8px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .style("font-size", "16px");
+
+  const colorControls = colorPanel.append("div")
+    .style("display", "flex")
+    .style("align-items", "center")
+    .style("gap", "10px");
+
+  colorControls.append("label")
+    .text("Color by: ")
+    .append("select")
+    .attr("class", "color-by")
+    .style("font-size", "16px")
+    .on("change", (event) => {
+      state.colorBy = event.target.value;
+      updateColors();
+    })
+    .selectAll("option")
+    .data(Object.entries(colorByOptions))
+    .join("option")
+    .attr("value", ([key]) => key)
+    .property("selected", ([key]) => key === state.colorBy)
+    .text(([, label]) => label);
+
+  const sampleGroupLabel = colorControls.append("label")
+    .text("Group pattern: ");
+
+  sampleGroupLabel.append("input")
+    .attr("class", "sample-group-pattern")
+    .attr("type", "text")
+    .attr("title", "A regular expression matched against each sample name, the group is its first capture group")
+    .property("value", state.sampleGroupPattern.source)
+    .style("width", "150px")
+    .style("font-size", "16px")
+    .style("font-family", "monospace")
+    .on("change", (event) => {
+      // keep the previous pattern if the new one isn't a valid regular expression
+      try {
+        state.sampleGroupPattern = new RegExp(event.target.value);
+        d3.select(event.target).style("border-color", null);
+      } catch (error) {
+        d3.select(event.target).style("border-color", "#cc0000");
+        return;
+      }
+      updateColors();
+    });
+
+  const isolateLabel = colorControls.append("label");
+
+  const isolateCheckbox = isolateLabel.append("input")
+    .attr("type", "checkbox")
+    .on("change", applyHighlight);
+
+  isolateLabel.append("span")
+    .text(" Hide other points");
+
+  const legend = colorPanel.append("div")
+    .attr("class", "legend")
+    .style("display", "flex")
+    .style("flex-wrap", "wrap")
+    .style("gap", "4px 12px")
+    .style("margin-top", "8px");
+
+  // add a sample QC view in a row below the colors, which pivots the plotted points to compare the sample runs
+  const sampleViewPanel = parentGridContainer.append("div")
+    .style("grid-column", "1 / -1")
+    .style("padding", "8px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .style("font-size", "16px");
+
+  // like the data table, the view is only drawn while it is open
+  const sampleViewDetails = sampleViewPanel.append("details")
+    .attr("class", "sample-qc")
+    .on("toggle", updateSampleView);
+
+  sampleViewDetails.append("summary")
+    .style("cursor", "pointer")
+    .text("Sample QC");
+
+  const sampleViewControls = sampleViewDetails.append("div")
+    .style("display", "flex")
+    .style("flex-wrap", "wrap")
+    .style("align-items", "center")
+    .style("gap", "8px 16px")
+    .style("margin-top", "8px");
+
+  const sampleViewOptions = {
+    strip: "Deviations by sample",
+    heatmap: "Sample × chemical heatmap"
+  };
+
+  const sampleViewSelect = sampleViewControls.append("label")
+    .text("View: ")
+    .append("select")
+    .attr("class", "sample-view")
+    .style("font-size", "16px")
+    .on("change", updateSampleView);
+
+  sampleViewSelect.selectAll("option")
+    .data(Object.entries(sampleViewOptions))
+    .join("option")
+    .attr("value", ([value]) => value)
+    .text(([, text]) => text);
+
+  const sampleViewLegend = sampleViewControls.append("div")
+    .attr("class", "sample-view-legend")
+    .style("display", "flex")
+    .style("align-items", "center")
+    .style("gap", "4px");
+
+  sampleViewDetails.append("div")
+    .style("color", "#555")
+    .style("margin-top", "4px")
+    .text("Each point is a plotted measurement's deviation from its chemical's median, so a sample run that reads high "
+      + "or low for every chemical stands out. Click a point or cell to find its chemical in the strip plot.");
+
+  const sampleViewContainer = sampleViewDetails.append("div")
+    .style("max-height", "650px")
+    .style("overflow", "auto")
+    .style("margin-top", "8px");
+
+  // add a scatter of retention time against log RF in a row below the sample QC view, to spot response drift with
+  // retention time. It is linked to the strip plot both ways: brushing it picks out chemicals in the strip plot, and
+  // hovering a strip plot point picks out its feature in the scatter
+  const rtScatterPanel = parentGridContainer.append("div")
+    .style("grid-column", "1 / -1")
+    .style("padding", "8px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .style("font-size", "16px");
+
+  // like the sample QC view, the scatter is only drawn while it is open
+  const rtScatterDetails = rtScatterPanel.append("details")
+    .attr("class", "rt-scatter")
+    .on("toggle", updateRTScatter);
+
+  rtScatterDetails.append("summary")
+    .style("cursor", "pointer")
+    .text("Retention time vs log RF");
+
+  const rtScatterControls = rtScatterDetails.append("div")
+    .style("display", "flex")
+    .style("flex-wrap", "wrap")
+    .style("align-items", "center")
+    .style("gap", "8px 16px")
+    .style("margin-top", "8px");
+
+  const rtScatterValueOptions = {
+    median: "Median per feature",
+    points: "Individual points"
+  };
+
+  const rtScatterValueSelect = rtScatterControls.append("label")
+    .text("Plot: ")
+    .append("select")
+    .attr("class", "rt-scatter-value")
+    .style("font-size", "16px")
+    .on("change", updateRTScatter);
+
+  rtScatterValueSelect.selectAll("option")
+    .data(Object.entries(rtScatterValueOptions))
+    .join("option")
+    .attr("value", ([value]) => value)
+    .text(([, text]) => text);
+
+  const rtScatterTrendSelect = rtScatterControls.append("label")
+    .text("Trend: ")
+    .append("select")
+    .attr("class", "rt-scatter-trend")
+    .style("font-size", "16px")
+    .on("change", updateRTScatter);
+
+  rtScatterTrendSelect.selectAll("option")
+    .data([["none", "None"], ...Object.entries(trendFits).map(([id, trend]) => [id, trend.label])])
+    .join("option")
+    .attr("value", ([value]) => value)
+    .text(([, text]) => text);
+
+  const rtScatterSpanLabel = rtScatterControls.append("label")
+    .attr("title", "The fraction of the points each part of the LOESS curve is fitted to, smaller spans follow the "
+      + "points more closely")
+    .text("Span: ");
+
+  const rtScatterSpanInput = rtScatterSpanLabel.append("input")
+    .attr("class", "rt-scatter-span")
+    .attr("type", "number")
+    .attr("min", 0.1)
+    .attr("max", 1)
+    .attr("step", 0.05)
+    .property("value", 0.75)
+    .style("width", "70px")
+    .style("font-size", "16px")
+    .on("change", updateRTScatter);
+
+  const rtScatterFilterLabel = rtScatterControls.append("label");
+
+  const rtScatterFilterCheckbox = rtScatterFilterLabel.append("input")
+    .attr("class", "rt-scatter-filter")
+    .attr("type", "checkbox")
+    .property("checked", true)
+    .on("change", () => {
+      if (brushedChemicals) {
+        makeStripPlot(data, sortedBy, showMode, false);
+      }
+    });
+
+  rtScatterFilterLabel.append("span")
+    .text(" Only show the brushed chemicals in the strip plot");
+
+  rtScatterControls.append("button")
+    .style("font-size", "16px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .text("Clear selection")
+    .on("click", () => setBrushedChemicals(null));
+
+  const rtScatterStatus = rtScatterControls.append("span")
+    .style("color", "#555");
+
+  const rtScatterLegend = rtScatterControls.append("div")
+    .attr("class", "rt-scatter-legend")
+    .style("display", "flex")
+    .style("align-items", "center")
+    .style("gap", "4px 12px");
+
+  rtScatterDetails.append("div")
+    .style("color", "#555")
+    .style("margin-top", "4px")
+    .text("Each point is a feature's median, or a single measurement, at its retention time, so a response that drifts "
+      + "with retention time shows up as a trend. Drag over points to pick out their chemicals in the strip plot, and "
+      + "hover a point in the strip plot to find its feature here.");
+
+  const rtScatterContainer = rtScatterDetails.append("div")
+    .style("overflow", "auto")
+    .style("margin-top", "8px");
+
+  // add outlier rule controls, and a table of the flagged points, in a row below the plot
+  const outlierPanel = parentGridContainer.append("div")
+    .style("grid-column", "1 / -1")
+    .style("padding", "8px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .style("font-size", "16px");
+
+  const outlierControls = outlierPanel.append("div")
+    .style("display", "flex")
+    .style("align-items", "center")
+    .style("gap", "10px");
+
+  outlierControls.append("label")
+    .text("Outlier rule: ")
+    .append("select")
+    .attr("class", "outlier-rule")
+    .style("font-size", "16px")
+    .on("change", (event) => {
+      outlierRule = event.target.value;
+      outlierThreshold = outlierRules[outlierRule].defaultThreshold;
+      updateOutliers();
+    })
+    .selectAll("option")
+    .data(Object.entries(outlierRules))
+    .join("option")
+    .attr("value", ([id]) => id)
+    .property("selected", ([id]) => id === "iqr")
+    .text(([, rule]) => rule.label);
+
+  const outlierThresholdLabel = outlierControls.append("label");
+
+  const outlierThresholdText = outlierThresholdLabel.append("span");
+
+  const outlierThresholdInput = outlierThresholdLabel.append("input")
+    .attr("class", "outlier-threshold")
+    .attr("type", "number")
+    .attr("min", 0)
+    .style("width", "70px")
+    .style("font-size", "16px")
+    .on("change", (event) => {
+      const rule = outlierRules[outlierRule];
+      let threshold = Number(event.target.value);
+      // alpha must be a probability, and k must be positive
+      const isValid = threshold > 0 && (rule.thresholdName !== "α" || threshold < 1);
+      if (isValid && rule.thresholds) {
+        threshold = d3.least(rule.thresholds, t => Math.abs(t - threshold));
+      }
+      outlierThreshold = isValid ? threshold : outlierThreshold;
+      updateOutliers();
+    });
+
+  const outlierCount = outlierControls.append("span")
+    .style("color", "#555");
+
+  const outlierDetails = outlierPanel.append("details")
+    .style("margin-top", "8px");
+
+  outlierDetails.append("summary")
+    .style("cursor", "pointer")
+    .text("Flagged points");
+
+  const outlierTable = outlierDetails.append("div")
+    .style("max-height", "250px")
+    .style("overflow-y", "auto")
+    .style("margin-top", "8px")
+    .append("table")
+    .style("border-collapse", "collapse")
+    .style("width", "100%");
+
+  const outlierColumns = [
+    { name: "Chemical", value: d => getBaseChemicalName(d.chemical) },
+    ...(comparing ? [{ name: "Dataset", value: getDatasetName }] : []),
+    { name: "Ionization Mode", value: d => d.mode },
+    { name: "Sample", value: d => d.sampleName },
+    { name: "Feature ID", value: d => d.featureId },
+    // the transformed RF columns are named after the current transform
+    { get name() { return rfTransforms[state.transform].title; }, value: d => d.logRF.toFixed(2) },
+    { get name() { return `Median ${rfTransforms[state.transform].title}`; }, value: d => d.medianLogRF.toFixed(2) },
+    { name: "Flagged By", value: d => d.outlier }
+  ];
+
+  outlierTable.append("thead").append("tr")
+    .selectAll("th")
+    .data(outlierColumns)
+    .join("th")
+    .style("text-align", "left")
+    .style("border-bottom", "1px solid #999")
+    .style("padding", "2px 8px")
+    .text(d => d.name);
+
+  const outlierTableBody = outlierTable.append("tbody");
+
+  // add exclusion controls, and a table of the excluded points, in a row below the outliers
+  const exclusionPanel = parentGridContainer.append("div")
+    .style("grid-column", "1 / -1")
+    .style("padding", "8px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .style("font-size", "16px");
+
+  const exclusionControls = exclusionPanel.append("div")
+    .style("display", "flex")
+    .style("align-items", "center")
+    .style("gap", "10px");
+
+  const exclusionReasonInput = exclusionControls.append("label")
+    .text("Alt+click a point to exclude it, reason: ")
+    .append("input")
+    .attr("class", "exclusion-reason")
+    .attr("type", "text")
+    .property("value", "Confirmed bad measurement")
+    .style("width", "250px")
+    .style("font-size", "16px");
+
+  const exclusionCount = exclusionControls.append("span")
+    .style("color", "#555");
+
+  // says when the exclusions couldn't be saved, so they would be lost on a reload
+  const exclusionSaveStatus = exclusionControls.append("span")
+    .attr("class", "exclusion-save-status")
+    .style("color", "#cc0000");
+
+  const exclusionFileName = `${source.fileName.replace(/\.[^.]+$/, "")}_${source.sheetName}_exclusions`;
+  const exclusionColumns = [
+    { name: "Feature ID", value: d => d.featureId },
+    { name: "Chemical Name", value: d => getBaseChemicalName(d.chemical) },
+    ...(comparing ? [{ name: "Dataset", value: getDatasetName }] : []),
+    { name: "Ionization Mode", value: d => d.mode },
+    { name: "Sample", value: d => d.sampleName },
+    { name: "Reason", value: d => d.reason }
+  ];
+  const getExclusionRows = () => [...exclusions.values()].map(d => {
+    return Object.fromEntries(exclusionColumns.map(col => [col.name, col.value(d)]));
+  });
+
+  const exclusionButtonData = [
+    {
+      text: "Export CSV",
+      onClick: () => {
+        const csv = toCSV(getExclusionRows(), exclusionColumns.map(col => col.name));
+        downloadFile(csv, `${exclusionFileName}.csv`, "text/csv");
+      }
+    },
+    {
+      text: "Export JSON",
+      onClick: () => {
+        const json = JSON.stringify(getExclusionRows(), null, 2);
+        downloadFile(json, `${exclusionFileName}.json`, "application/json");
+      }
+    },
+    {
+      text: "Clear all",
+      onClick: () => {
+        exclusions.clear();
+        updateExclusions();
+      }
+    }
+  ];
+
+  exclusionControls.selectAll("button")
+    .data(exclusionButtonData)
+    .join("button")
+    .style("font-size", "16px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .text(d => d.text)
+    .on("click", (event, d) => d.onClick());
+
+  const exclusionDetails = exclusionPanel.append("details")
+    .style("margin-top", "8px");
+
+  exclusionDetails.append("summary")
+    .style("cursor", "pointer")
+    .text("Excluded points");
+
+  const exclusionTable = exclusionDetails.append("div")
+    .style("max-height", "250px")
+    .style("overflow-y", "auto")
+    .style("margin-top", "8px")
+    .append("table")
+    .style("border-collapse", "collapse")
+    .style("width", "100%");
+
+  exclusionTable.append("thead").append("tr")
+    .selectAll("th")
+    .data(exclusionColumns)
+    .join("th")
+    .style("text-align", "left")
+    .style("border-bottom", "1px solid #999")
+    .style("padding", "2px 8px")
+    .text(d => d.name);
+
+  const exclusionTableBody = exclusionTable.append("tbody");
+
+  // add a table of the plotted points in a row below the exclusions, as an alternative to the plot for screen readers
+  const dataTablePanel = parentGridContainer.append("div")
+    .style("grid-column", "1 / -1")
+    .style("padding", "8px")
+    .style("border", "2px solid #999")
+    .style("border-radius", "8px")
+    .style("font-size", "16px");
+
+  // the table is only filled in while it is open, since it can have tens of thousands of rows
+  const dataTableDetails = dataTablePanel.append("details")
+    .attr("class", "data-table")
+    .on("toggle", updateDataTable);
+
+  dataTableDetails.append("summary")
+    .style("cursor", "pointer")
+    .text("Data table");
+
+  const dataTable = dataTableDetails.append("div")
+    .style("max-height", "400px")
+    .style("overflow-y", "auto")
+    .style("margin-top", "8px")
+    .append("table")
+    .style("border-collapse", "collapse")
+    .style("width", "100%");
+
+  const dataTableCaption = dataTable.append("caption")
+    .style("text-align", "left")
+    .style("padding", "2px 8px");
+
+  const dataTableColumns = [
+    { name: "Chemical", value: d => getBaseChemicalName(d.chemical) },
+    ...(comparing ? [{ name: "Dataset", value: getDatasetName }] : []),
+    { name: "Ionization Mode", value: d => d.mode },
+    { name: "Sample", value: d => d.sampleName },
+    { name: "Feature ID", value: d => d.featureId },
+    { name: "Retention Time", value: d => d.retentionTime },
+    { get name() { return rfTransforms[state.transform].title; }, value: d => d.logRF.toFixed(2) },
+    // a chemical whose points are all excluded has no median
+    {
+      get name() { return `Median ${rfTransforms[state.transform].title}`; },
+      value: d => d.medianLogRF?.toFixed(2) ?? "–"
+    },
+    { name: "Outlier", value: d => d.outlier ?? "no" },
+    { name: "Excluded", value: d => d.excluded ?? "no" }
+  ];
+
+  dataTable.append("thead").append("tr")
+    .selectAll("th")
+    .data(dataTableColumns)
+    .join("th")
+    .attr("scope", "col")
+    .style("text-align", "left")
+    .style("border-bottom", "1px solid #999")
+    .style("padding", "2px 8px")
+    .text(d => d.name);
+
+  const dataTableBody = dataTable.append("tbody");
+
+  // make plots
+  let showMode = state.mode;
+  let sortedBy = state.sort;
+  var helpTooltipClicked = false;
+  let outlierRule = "iqr";
+  let outlierThreshold = outlierRules[outlierRule].defaultThreshold;
+  let currentPointsData = [];
+  // the points are only worked out again when the data, exclusions, outlier rule, mode, sort or colors change, not on
+  // every redraw. The points of both modes hold their exclusions and outlier flags, and the plotted points are the
+  // current mode's, sorted and colored, along with the settings they were sorted and colored with
+  let cachedPoints = null;
+  let cachedPointsByKey = null;
+  let cachedOutlierRule = null;
+  let cachedComparisons = null;
+  let cachedPlotPoints = null;
+  let cachedSortKey = null;
+  let cachedColorKey = null;
+  // the chemicals on each page of the plot, and a function that draws a list of chemicals into a page
+  let currentPages = [];
+  let drawPage = null;
+  // the zoom behavior shared by the pages and their current zoom, and the point shown in the tooltip
+  let zoom = null;
+  let zoomTransform = d3.zoomIdentity;
+  let selectedKey = null;
+  // the plotted points of each row in keyboard order, and the point with the keyboard focus
+  let currentRows = [];
+  let focusedKey = null;
+  // the points pinned to the comparison table, in the order they were pinned
+  const pinnedKeys = new Set();
+  // the points the retention time scatter is drawn from, which aren't narrowed down by its own brush, and the names
+  // of the chemicals brushed in it, or null if none are
+  let currentScatterPoints = [];
+  let brushedChemicals = null;
+  // the chemical names, without their mode suffix, in the order of the plot's rows, which the custom order starts from
+  let currentChemicalOrder = [];
+  // the widths the plot and the panels below it were last drawn at, which are drawn again once resizing their
+  // container settles. Redrawing the plot redraws the panels too
+  let plotWidth = null;
+  let panelWidth = null;
+  let resizeTimer = null;
+  const resizeObserver = new ResizeObserver(() => {
+    updateLayout();
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(() => {
+      if (drawPage && getPlotWidth() !== plotWidth) {
+        makeStripPlot(data, sortedBy, showMode, false);
+      } else if (getPanelWidth() !== panelWidth) {
+        updateSampleView();
+        updateRTScatter();
+      }
+    }, 150);
+  });
+  let colorDomain = [];
+  updateLayout();
+  resizeObserver.observe(parentGridContainer.node());
+  updateRTText();
+  updateSortControls();
+  let highlightedKey = null;
+  updateColorDomain();
+  updateLegend();
+  updateOutliers(true);
+  updateExclusionTable();
+
+  return { setMode, setSort, setTransform, getView, setView, destroy };
+
+  /**
+   * Reads the retention time sliders, swapping them if they cross, and redraws the plot. The full range of either
+   * slider is treated as unbounded.
+   */
+  function updateRTFilter() {
+    const [ rtMin, rtMax ] = rtSliders.map(slider => Number(slider.property("value"))).sort(d3.ascending);
+    filters.rtMin = rtMin > rtExtentMin ? rtMin : null;
+    filters.rtMax = rtMax < rtExtentMax ? rtMax : null;
+    updateRTText();
+    makeStripPlot(data, sortedBy, showMode, false);
+  }
+
+  /**
+   * Shows the retention time range next to the sliders.
+   */
+  function updateRTText() {
+    const format = d3.format(".1f");
+    rtText.text(` ${format(filters.rtMin ?? rtExtentMin)} to ${format(filters.rtMax ?? rtExtentMax)} min`);
+  }
+
+  /**
+   * Finds the chemical matching a search, switching to its ionization mode if needed, then highlights its row and
+   * scrolls it into view.
+   * @param {string} query The chemical name or Feature ID to search for.
+   */
+  function searchChemical(query) {
+    const row = findChemical(data, query);
+    searchedChemical = row?.["Chemical Name"] ?? null;
+    searchStatus.text(row || query.trim() === "" ? "" : "No matching chemical");
+
+    if (row && row["Ionization Mode"] !== `ESI${showMode}` && showMode !== "both") {
+      setMode(row["Ionization Mode"].slice(-1));
+    } else {
+      makeStripPlot(data, sortedBy, showMode, false);
+    }
+
+    // the chemical may still be hidden by the filters, otherwise draw its page so it can be scrolled to
+    const searchedRow = searchedChemical && (showMode === "both" ? getBaseChemicalName(searchedChemical) : searchedChemical);
+    const iPage = currentPages.findIndex(chemicalNames => chemicalNames.includes(searchedRow));
+    if (row && iPage === -1) {
+      searchStatus.text("The chemical is hidden by the filters");
+    } else if (row) {
+      scrollToPage(iPage);
+      const highlight = svgGridContainer.select("rect.search-highlight");
+      const containerNode = svgGridContainer.node();
+      const rowTop = highlight.node().getBoundingClientRect().top - containerNode.getBoundingClientRect().top;
+      containerNode.scrollTop += rowTop - containerNode.clientHeight / 2;
+    }
+  }
+
+  /**
+   * Recolors the points after the color-by variable or sample group pattern changes, clearing any highlight.
+   */
+  function updateColors() {
+    highlightedKey = null;
+    updateColorDomain();
+    updateLegend();
+    makeStripPlot(data, sortedBy, showMode, false);
+  }
+
+  /**
+   * Collects every sample name or sample group across both ionization modes, in natural sort order, so that each
+   * keeps the same color when the mode or sort changes.
+   */
+  function updateColorDomain() {
+    const getKey = state.colorBy === "group"
+      ? d => getSampleGroup(d.sampleName, state.sampleGroupPattern)
+      : d => d.sampleName;
+    colorDomain = state.colorBy === "chemical" ? [] : [...new Set(getAllPoints().map(getKey))]
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  }
+
+  /**
+   * Lists the sample names or sample groups with their colors. Clicking an entry highlights its points in every row,
+   * and clicking it again clears the highlight. There is no legend when coloring by chemical.
+   */
+  function updateLegend() {
+    const colorScale = d3.scaleOrdinal(colorDomain, state.palette);
+    sampleGroupLabel.style("display", state.colorBy === "group" ? null : "none");
+    isolateLabel.style("display", state.colorBy === "chemical" ? "none" : null);
+
+    const entries = legend.selectAll("div")
+      .data(colorDomain)
+      .join(enter => {
+        const entry = enter.append("div")
+          .style("display", "flex")
+          .style("align-items", "center")
+          .style("gap", "4px")
+          .style("padding", "2px 6px")
+          .style("border", "2px solid transparent")
+          .style("border-radius", "8px")
+          .style("cursor", "pointer");
+        entry.append("svg")
+          .attr("width", 14)
+          .attr("height", 14)
+          .append("circle")
+          .attr("cx", 7)
+          .attr("cy", 7)
+          .attr("r", 6)
+          .style("stroke", "black")
+          .style("opacity", 0.6);
+        entry.append("span");
+        return entry;
+      })
+      .on("click", (event, key) => {
+        highlightedKey = highlightedKey === key ? null : key;
+        applyHighlight();
+      });
+
+    entries.select("circle").style("fill", d => colorScale(d));
+    entries.select("span").text(d => d);
+    applyHighlight();
+  }
+
+  /**
+   * Fades, or hides if "Hide other points" is checked, every point that doesn't belong to the highlighted sample or
+   * group, and outlines the highlighted legend entry.
+   */
+  function applyHighlight() {
+    const hideOthers = isolateCheckbox.property("checked");
+    const isDimmed = d => highlightedKey !== null && getColorKey(d, state.colorBy) !== highlightedKey;
+    svgGridContainer.selectAll("circle.stripCircle")
+      .style("opacity", d => isDimmed(d) ? (hideOthers ? 0 : 0.1) : 0.6)
+      .style("pointer-events", d => isDimmed(d) && hideOthers ? "none" : null);
+    legend.selectAll("div")
+      .style("border-color", d => d === highlightedKey ? "black" : "transparent");
+  }
+
+  /**
+   * Shows the data for an ionization mode and highlights its button.
+   * @param {string} mode "+", "-" or "both".
+   */
+  function setMode(mode) {
+    showMode = mode;
+    state.mode = mode;
+    // the brushed chemicals are named with their mode, so they would hide every chemical of the other mode
+    brushedChemicals = null;
+    Object.entries(modeButtons).forEach(([buttonMode, button]) => {
+      button.attr("aria-pressed", buttonMode === mode)
+        .transition().duration(300)
+        .style("background-color", buttonMode === mode ? "#ddffdd" : "#efefef");
+    });
+    makeStripPlot(data, sortedBy, showMode, false);
+    dispatch.call("modechange", null, mode);
+  }
+
+  /**
+   * Sorts the chemicals by one of the keys of sortOptions, such as median log RF, retention time or the custom order.
+   * @param {string} sortKey A key of sortOptions.
+   * @param {string} [order] "asc" or "desc", the key's default order if not given.
+   */
+  function setSort(sortKey, order = sortOptions[sortKey].defaultOrder) {
+    sortedBy = sortKey;
+    state.sort = sortKey;
+    state.sortOrder = order;
+    updateSortControls();
+    makeStripPlot(data, sortedBy, showMode, false);
+    dispatch.call("sortchange", null, sortKey, order);
+  }
+
+  /**
+   * Groups the chemicals under headers, by retention time bin or by a text column of the sheet, and redraws the plot.
+   * @param {?string} groupBy "Retention Time", the name of a column from getGroupColumns, or null to not group.
+   */
+  function setGrouping(groupBy) {
+    state.groupBy = groupBy;
+    updateSortControls();
+    makeStripPlot(data, sortedBy, showMode, false);
+  }
+
+  /**
+   * Updates the sort buttons, the sort menu and the grouping controls to match the current settings.
+   */
+  function updateSortControls() {
+    sortButton.attr("aria-pressed", sortedBy === "rt");
+    shiftSortButton.attr("aria-pressed", sortedBy === "shift")
+      .style("background-color", sortedBy === "shift" ? "#ddffdd" : "#efefef");
+    sortKeySelect.property("value", sortedBy === "shift" && !comparing ? "ml" : sortedBy);
+    sortOrderSelect.property("value", state.sortOrder);
+    groupBySelect.property("value", state.groupBy ?? "");
+    rtBinLabel.style("display", state.groupBy === "Retention Time" ? null : "none");
+    rtBinInput.property("value", state.rtBinWidth);
+  }
+
+  /**
+   * Returns a function that gives the group of a point's row under the current grouping, or null if the chemicals
+   * aren't grouped. Retention time bins are numbered by their start, so they sort in order of retention time.
+   * @returns {?function(object): ?(string|number)} The group of a point.
+   */
+  function getRowGroup() {
+    if (state.groupBy === null) {
+      return null;
+    }
+    if (state.groupBy === "Retention Time") {
+      return d => Math.floor(d.retentionTime / state.rtBinWidth) * state.rtBinWidth;
+    }
+    return d => groupValues.get(getGroupValuesKey(d.baseChemical, d.mode, d.dataset))?.[state.groupBy] ?? null;
+  }
+
+  /**
+   * Returns the header shown above a group of chemicals.
+   * @param {?(string|number)} group A group from getRowGroup.
+   * @returns {string} The header text.
+   */
+  function getGroupLabel(group) {
+    if (state.groupBy === "Retention Time") {
+      const format = d3.format(".4~f");
+      return `${format(group)}–${format(group + state.rtBinWidth)} min`;
+    }
+    return `${state.groupBy}: ${group ?? "(blank)"}`;
+  }
+
+  /**
+   * Lists the chemicals in their current order while the custom order is open, as a list that can be reordered by
+   * dragging or with each chemical's arrow buttons.
+   */
+  function updateCustomOrderList() {
+    customOrderList.selectAll("li").remove();
+    if (!customOrderDetails.property("open")) {
+      return;
+    }
+
+    const items = customOrderList.selectAll("li")
+      .data(currentChemicalOrder)
+      .join("li")
+      .attr("class", "custom-order-item")
+      .attr("draggable", true)
+      .style("cursor", "move")
+      .style("padding", "2px 0")
+      .on("dragstart", (event, name) => {
+        event.dataTransfer.setData("text/plain", name);
+        event.dataTransfer.effectAllowed = "move";
+      })
+      // keep the file drop zone around the plot from reacting to a chemical being dragged
+      .on("dragover", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+      })
+      .on("drop", (event, name) => {
+        event.preventDefault();
+        event.stopPropagation();
+        const draggedName = event.dataTransfer.getData("text/plain");
+        if (currentChemicalOrder.includes(draggedName) && draggedName !== name) {
+          moveChemical(draggedName, currentChemicalOrder.indexOf(name));
+        }
+      });
+
+    items.append("span")
+      .text(name => name);
+
+    [{ text: "\u2191", label: "up", offset: -1 }, { text: "\u2193", label: "down", offset: 1 }].forEach(arrow => {
+      items.append("button")
+        .attr("aria-label", name => `Move ${name} ${arrow.label}`)
+        .attr("disabled", (name, i) => i + arrow.offset < 0 || i + arrow.offset >= currentChemicalOrder.length
+          ? true : null)
+        .style("margin-left", "6px")
+        .text(arrow.text)
+        .on("click", (event, name) => moveChemical(name, currentChemicalOrder.indexOf(name) + arrow.offset));
+    });
+  }
+
+  /**
+   * Moves a chemical to a new position in the custom order, and sorts by the custom order. The order starts from the
+   * plot's current rows, and chemicals of the custom order that aren't plotted in this mode stay after them.
+   * @param {string} name The chemical name, without its mode suffix.
+   * @param {number} toIndex Its new position among the plotted chemicals.
+   */
+  function moveChemical(name, toIndex) {
+    const order = currentChemicalOrder.filter(chemical => chemical !== name);
+    order.splice(toIndex, 0, name);
+    state.customOrder = [...order, ...state.customOrder.filter(chemical => !order.includes(chemical))];
+    setSort("custom", "asc");
+  }
+
+  /**
+   * Turns a distribution overlay on or off.
+   * @param {string} id A key of overlayOptions.
+   */
+  function toggleOverlay(id) {
+    if (state.overlays.has(id)) {
+      state.overlays.delete(id);
+    } else {
+      state.overlays.add(id);
+    }
+    overlayButtons[id]
+      .attr("aria-pressed", state.overlays.has(id))
+      .style("background-color", state.overlays.has(id) ? "#ddffdd" : "#efefef");
+    makeStripPlot(data, sortedBy, showMode, false);
+  }
+
+  /**
+   * Pins the help tooltip open, or unpins and hides it.
+   * @param {boolean} pinned Whether the help tooltip is pinned.
+   */
+  function setHelpTooltip(pinned) {
+    helpTooltipClicked = pinned;
+    helpTooltipButton.attr("aria-pressed", pinned);
+    if (helpTooltipClicked) {
+      instructions.transition().duration(500)
+        .style("opacity", 1);
+      helpTooltipButton.transition().duration(300)
+        .style("background-color", "#ddffdd");
+    } else {
+      instructions.transition().duration(500)
+        .style("opacity", 0);
+      helpTooltipButton.transition().duration(300)
+        .style("background-color", "#fff");
+    }
+  }
+
+  /**
+   * Transforms the RF values with the natural log, log base 10 or not at all. The log RF filter and axis range are
+   * converted to the new scale, and any limit with no equivalent on it, such as a linear RF of 0 on a log scale, is
+   * cleared.
+   * @param {string} transform A key of rfTransforms.
+   */
+  function setTransform(transform) {
+    const convert = value => {
+      const converted = rfTransforms[transform].forward(rfTransforms[state.transform].inverse(value));
+      return value !== null && Number.isFinite(converted) ? Number(converted.toPrecision(3)) : null;
+    };
+    changeRFTransform(data, state.transform, transform);
+    calculateMedianLogRFs(data, exclusions);
+    clearPointsCache();
+    filters.logRFMin = convert(filters.logRFMin);
+    filters.logRFMax = convert(filters.logRFMax);
+    const xDomain = state.xDomain?.map(convert);
+    state.xDomain = xDomain?.every(value => value !== null) ? xDomain : null;
+    state.transform = transform;
+
+    syncControls();
+    updateOutliers(false);
+    dispatch.call("transformchange", null, transform);
+  }
+
+  /**
+   * Reads the axis range inputs. The range is only fixed when both ends are given and the minimum is below the
+   * maximum, otherwise the axis fits the data.
+   */
+  function updateAxisRange() {
+    const [ min, max ] = axisRangeInputs.map(input => {
+      const value = input.property("value");
+      return value === "" ? NaN : Number(value);
+    });
+    state.xDomain = min < max ? [min, max] : null;
+    makeStripPlot(data, sortedBy, showMode, false);
+  }
+
+  /**
+   * Removes the listener this plot added to the document.
+   */
+  function destroy() {
+    d3.select(document).on(`keydown.stripPlot${state.id}`, null);
+    resizeObserver.disconnect();
+    clearTimeout(resizeTimer);
+  }
+
+  /**
+   * Excludes a point, or includes it again if it is already excluded, using the reason typed in the exclusion panel.
+   * @param {object} d The point's datum.
+   */
+  function toggleExclusion(d) {
+    setExcluded([d], !exclusions.has(getPointKey(d.chemical, d.sampleName, d.dataset)));
+  }
+
+  /**
+   * Excludes or includes several points at once. Points that are already excluded keep their original reason.
+   * @param {object[]} points The points' data.
+   * @param {boolean} excluded Whether to exclude the points or include them again.
+   */
+  function setExcluded(points, excluded) {
+    points.forEach(d => {
+      const key = getPointKey(d.chemical, d.sampleName, d.dataset);
+      if (!excluded) {
+        exclusions.delete(key);
+      } else if (!exclusions.has(key)) {
+        exclusions.set(key, {
+          featureId: d.featureId,
+          chemical: d.chemical,
+          mode: d.mode,
+          sampleName: d.sampleName,
+          dataset: d.dataset,
+          reason: exclusionReasonInput.property("value").trim() || "Excluded manually"
+        });
+      }
+    });
+    updateExclusions();
+  }
+
+  /**
+   * Pins a point to the comparison table in place of the pinned points, or adds it to them. Clicking the only pinned
+   * point, or adding a point that is already pinned, unpins it.
+   * @param {object} d The point's datum.
+   * @param {boolean} addToPins Whether to keep the points that are already pinned, as with Shift+click.
+   */
+  function togglePin(d, addToPins) {
+    const key = getPointKey(d.chemical, d.sampleName, d.dataset);
+    const unpin = pinnedKeys.has(key) && (addToPins || pinnedKeys.size === 1);
+    if (!addToPins) {
+      pinnedKeys.clear();
+    }
+    if (unpin) {
+      pinnedKeys.delete(key);
+    } else {
+      pinnedKeys.add(key);
+    }
+    updatePins();
+  }
+
+  /**
+   * Adds points, such as those in a brushed region, to the pinned points.
+   * @param {object[]} points The points' data.
+   */
+  function pinPoints(points) {
+    points.forEach(d => pinnedKeys.add(getPointKey(d.chemical, d.sampleName, d.dataset)));
+    updatePins();
+  }
+
+  /**
+   * Returns the pinned points in the order they were pinned. They are looked up in both ionization modes, so points
+   * hidden by the mode or the filters stay in the comparison table.
+   * @returns {object[]} The pinned points' data.
+   */
+  function getPinnedPoints() {
+    if (pinnedKeys.size === 0) {
+      return [];
+    }
+    // the lookup by key is cached along with the points
+    getAllPoints();
+    return [...pinnedKeys].filter(key => cachedPointsByKey.has(key)).map(key => cachedPointsByKey.get(key));
+  }
+
+  /**
+   * Marks the pinned points on the plot and lists them in the comparison table after the pins change.
+   */
+  function updatePins() {
+    updatePinMarkers();
+    updatePinnedTable();
+    dispatch.call("pinchange", null, getPinnedPoints());
+  }
+
+  /**
+   * Draws a dashed ring around each pinned point on the pages that are drawn.
+   */
+  function updatePinMarkers() {
+    svgGridContainer.selectAll("circle.pin-marker").remove();
+    svgGridContainer.selectAll("circle.stripCircle")
+      .filter(d => pinnedKeys.has(getPointKey(d.chemical, d.sampleName, d.dataset)))
+      .each(function(d) {
+        // the marker keeps the point's datum, so the zoom moves it with the point
+        d3.select(this.parentNode).append("circle")
+          .datum(d)
+          .attr("class", "pin-marker")
+          .attr("cx", this.getAttribute("cx"))
+          .attr("cy", this.getAttribute("cy"))
+          .attr("r", 10)
+          .style("fill", "none")
+          .style("stroke", "black")
+          .style("stroke-width", 2)
+          .style("stroke-dasharray", "3 2")
+          .style("pointer-events", "none");
+      });
+  }
+
+  /**
+   * Lists the pinned points in the comparison table, with each point's deviation from its chemical's median.
+   */
+  function updatePinnedTable() {
+    pinnedTable.selectAll("th")
+      .text(col => col.name);
+    const pinnedPoints = getPinnedPoints();
+    pinnedCount.text(`Pinned points (${pinnedPoints.length})`);
+    pinnedStatus.text("");
+
+    const rows = pinnedTableBody.selectAll("tr")
+      .data(pinnedPoints)
+      .join("tr");
+    rows.selectAll("td.pinned-value")
+      .data(d => pinnedColumns.map(col => col.value(d)))
+      .join("td")
+      .attr("class", "pinned-value")
+      .style("padding", "2px 4px")
+      .style("white-space", "nowrap")
+      .text(d => d);
+    rows.selectAll("td.unpin")
+      .data(d => [d])
+      .join(enter => {
+        const cell = enter.append("td")
+          .attr("class", "unpin");
+        cell.append("button")
+          .style("border", "none")
+          .style("background", "none")
+          .style("cursor", "pointer")
+          .text("×");
+        return cell;
+      })
+      .select("button")
+      .attr("aria-label", d => `Unpin ${getBaseChemicalName(d.chemical)} ${d.mode} ${d.sampleName}`)
+      .on("click", (event, d) => {
+        pinnedKeys.delete(getPointKey(d.chemical, d.sampleName, d.dataset));
+        updatePins();
+      });
+  }
+
+  /**
+   * Saves the exclusions, recalculates the medians without the excluded points, then redraws the plot and tables.
+   */
+  function updateExclusions() {
+    // the exclusions still apply to this session when they can't be saved for the next one
+    try {
+      saveExclusions(source, exclusions);
+      exclusionSaveStatus.text("");
+    } catch (error) {
+      exclusionSaveStatus.text(error.message);
+      dispatch.call("error", null, error);
+    }
+    calculateMedianLogRFs(data, exclusions);
+    clearPointsCache();
+    updateOutliers();
+    updateExclusionTable();
+    dispatch.call("exclusionchange", null, [...exclusions.values()]);
+  }
+
+  /**
+   * Returns the base name for exported files, made from the workbook, sheet and ionization mode being plotted.
+   * @returns {string} The file name, without an extension.
+   */
+  function getExportFileName() {
+    const mode = showMode === "both" ? "ESI+-" : `ESI${showMode}`;
+    return `${source.fileName.replace(/\.[^.]+$/, "")}_${source.sheetName}_${mode}_strip_plot`;
+  }
+
+  /**
+   * Lists the excluded points in the exclusion table.
+   */
+  function updateExclusionTable() {
+    exclusionCount.text(`${exclusions.size} point(s) excluded`);
+
+    exclusionTableBody.selectAll("tr")
+      .data([...exclusions.values()])
+      .join("tr")
+      .selectAll("td")
+      .data(d => exclusionColumns.map(col => col.value(d)))
+      .join("td")
+      .style("padding", "2px 8px")
+      .text(d => d);
+  }
+
+  /**
+   * Syncs the outlier controls with the current rule and threshold, redraws the plot so the flagged points are
+   * outlined, and lists the points flagged in either ionization mode in the table.
+   * @param {boolean} firstPass Whether this is the first time the plot is drawn.
+   */
+  function updateOutliers(firstPass = false) {
+    const rule = outlierRules[outlierRule];
+    outlierThresholdLabel
+      .style("display", rule.test ? null : "none");
+    outlierThresholdText
+      .text(`${rule.thresholdName}: `);
+    outlierThresholdInput
+      .attr("step", rule.thresholdName === "α" ? 0.01 : 0.5)
+      .property("value", outlierThreshold);
+
+    makeStripPlot(data, sortedBy, showMode, firstPass);
+
+    outlierTable.selectAll("th")
+      .text(col => col.name);
+    const flaggedPoints = getAllPoints().filter(d => d.outlier);
+    outlierCount.text(rule.test ? `${flaggedPoints.length} point(s) flagged` : "");
+
+    outlierTableBody.selectAll("tr")
+      .data(flaggedPoints)
+      .join("tr")
+      .selectAll("td")
+      .data(d => outlierColumns.map(col => col.value(d)))
+      .join("td")
+      .style("padding", "2px 8px")
+      .text(d => d);
+  }
+
+  /**
+   * Returns the points of both modes, with their exclusions marked and outliers flagged. They are only worked out
+   * again after clearPointsCache, and only flagged again when the outlier rule or its threshold changes.
+   * @returns {object[]} The points.
+   */
+  function getAllPoints() {
+    if (cachedPoints === null) {
+      cachedPoints = markExclusions(getPointsData(data, "both"), exclusions);
+      cachedPointsByKey = new Map(cachedPoints.map(d => [getPointKey(d.chemical, d.sampleName, d.dataset), d]));
+      cachedComparisons = {
+        modeComparison: compareModes(data),
+        datasetComparison: comparing ? compareDatasets(data) : null
+      };
+    }
+    const outlierKey = `${outlierRule} ${outlierThreshold}`;
+    if (outlierKey !== cachedOutlierRule) {
+      flagOutliers(cachedPoints, outlierRule, outlierThreshold);
+      cachedOutlierRule = outlierKey;
+      cachedPlotPoints = null;
+    }
+    return cachedPoints;
+  }
+
+  /**
+   * Drops the cached points after the RF values, medians or exclusions change, so the next redraw works them out
+   * again.
+   */
+  function clearPointsCache() {
+    cachedPoints = null;
+    cachedOutlierRule = null;
+    cachedPlotPoints = null;
+  }
+
+  /**
+   * Returns the points of the current mode, sorted by the current sort key and colored. They are only sorted again when
+   * the mode or a sort setting changes, and only colored again when they are sorted or a color setting changes.
+   * @param {string} mode The ionization mode shown, "+", "-" or "both".
+   * @param {string} sortedBy The key of sortOptions the chemicals are sorted by.
+   * @param {function(object): string} getRowName Returns the row of a point.
+   * @param {?function(object): ?(string|number)} getGroup Returns the group of a point's row, or null if the rows
+   * aren't grouped.
+   * @returns {object[]} The points, with each row's points together.
+   */
+  function getPlotPoints(mode, sortedBy, getRowName, getGroup) {
+    const allPoints = getAllPoints();
+    // sorting by shift falls back to median log RF when no datasets are compared
+    const sortKey = sortedBy === "shift" && !comparing ? "ml" : sortedBy;
+    const sortSettings = JSON.stringify([mode, sortKey, state.sortOrder, state.groupBy, state.rtBinWidth,
+      state.customOrder]);
+    if (cachedPlotPoints === null || sortSettings !== cachedSortKey) {
+      const modePoints = mode === "both" ? [...allPoints] : allPoints.filter(d => d.mode === `ESI${mode}`);
+      // sort the rows, within their groups when they are grouped
+      cachedPlotPoints = sortPoints(modePoints, sortKey, {
+        descending: state.sortOrder === "desc",
+        getRowName,
+        getGroup,
+        customOrder: state.customOrder,
+        transform: state.transform,
+        datasetComparison: cachedComparisons.datasetComparison
+      });
+      cachedSortKey = sortSettings;
+      cachedColorKey = null;
+    }
+
+    const colorSettings = JSON.stringify([state.colorBy, state.palette, String(state.sampleGroupPattern), colorDomain]);
+    if (colorSettings !== cachedColorKey) {
+      colorPoints(cachedPlotPoints, state.colorBy, state.palette, state.sampleGroupPattern, colorDomain);
+      cachedColorKey = colorSettings;
+    }
+    return cachedPlotPoints;
+  }
+
+  function makeStripPlot(data, sortedBy, showMode = "both", firstPass = false) {
+    // destroy existing svgs, the page placeholders are reused so the scroll position is kept
+    svgGridContainer.selectAll("svg").remove();
+
+    // when both modes are shown each chemical's row is split into an ESI+ and an ESI- sub-row, and when datasets are
+    // compared each of those is split again into a sub-row per dataset
+    const bothModes = showMode === "both";
+    const getRowName = bothModes ? d => d.baseChemical : d => d.chemical;
+    // the points of this mode, with each chemical's points together in the order of the rows
+    const getGroup = getRowGroup();
+    const pointsData = getPlotPoints(showMode, sortedBy, getRowName, getGroup);
+    const modeComparison = bothModes ? cachedComparisons.modeComparison : null;
+    const datasetComparison = cachedComparisons.datasetComparison;
+    currentChemicalOrder = [...new Set(pointsData.map(d => d.baseChemical))];
+
+    // apply the filters, and report how much of this ionization mode they hide. The chemicals brushed in the retention
+    // time scatter are filtered last, unless the scatter is set to only highlight them
+    currentScatterPoints = filterPoints(pointsData, filters);
+    const filterBrushed = brushedChemicals !== null && rtScatterFilterCheckbox.property("checked");
+    const visiblePoints = filterBrushed
+      ? currentScatterPoints.filter(d => brushedChemicals.has(d.chemical))
+      : currentScatterPoints;
+    currentPointsData = visiblePoints;
+    const nChemsInMode = new Set(pointsData.map(d => d.chemical)).size;
+    const nChems = new Set(visiblePoints.map(d => d.chemical)).size;
+
+    const subRows = (bothModes ? ["ESI+", "ESI-"] : [null])
+      .flatMap(mode => [null, ...datasetNames].map(dataset => ({ mode, dataset })));
+    const getSubRowIndex = (mode, dataset) => {
+      return subRows.findIndex(subRow => (subRow.mode === null || subRow.mode === mode) && subRow.dataset === dataset);
+    };
+    const nRows = new Set(visiblePoints.map(getRowName)).size;
+    const nOutsideAxis = state.xDomain
+      ? visiblePoints.filter(d => d.logRF < state.xDomain[0] || d.logRF > state.xDomain[1]).length
+      : 0;
+    filterStatus.text(`Showing ${nChems} of ${nChemsInMode} chemicals and ${visiblePoints.length} of `
+      + `${pointsData.length} points, ${nChemsInMode - nChems} chemicals and `
+      + `${pointsData.length - visiblePoints.length} points hidden by filters`
+      + (nOutsideAxis > 0 ? `, ${nOutsideAxis} points outside the axis range` : "")
+      + (filterBrushed ? ", only the chemicals brushed in the retention time scatter are shown" : ""));
+
+    // say so rather than drawing empty axes when this ionization mode has no valid data
+    if (pointsData.length === 0 || visiblePoints.length === 0) {
+      currentPages = [];
+      currentRows = [];
+      drawPage = null;
+      svgGridContainer.selectAll(".strip-plot-page").remove();
+      updatePageSelect();
+      updateDataTable();
+      updatePinnedTable();
+      updateSampleView();
+      updateRTScatter();
+      updateCustomOrderList();
+      svgGridContainer.append("svg")
+        .attr("width", getPlotWidth())
+        .attr("height", 100)
+        .append("text")
+        .attr("x", getPlotWidth() / 2)
+        .attr("y", 50)
+        .attr("text-anchor", "middle")
+        .style("font-size", "16px")
+        .text(pointsData.length === 0
+          ? `No valid ${showMode === "both" ? "" : `ESI${showMode} `}data to plot`
+          : "Every point is hidden by the filters");
+      return;
+    }
+    // split the rows into pages of up to nChemsPerPlot chemicals, each drawn in its own svg
+    const rowNames = [...new Set(visiblePoints.map(getRowName))];
+    const nPlots = Math.ceil(nRows / nChemsPerPlot);
+    const svgIDs = d3.range(nPlots).map(i => `svg${i}`);
+    currentPages = svgIDs.map((svgID, iPlot) => rowNames.slice(iPlot * nChemsPerPlot, (iPlot + 1) * nChemsPerPlot));
+    const pointsByRow = d3.group(visiblePoints, getRowName);
+    // the arrow keys move along each row from left to right, through each sub-row in turn from the top
+    currentRows = rowNames.map(name => {
+      return [...pointsByRow.get(name)]
+        .sort((a, b) => getSubRowIndex(a.mode, a.dataset) - getSubRowIndex(b.mode, b.dataset) || a.logRF - b.logRF);
+    });
+
+    // the plot fills the width of its container. The right margin holds the sub-row labels, the median differences
+    // when both modes are shown, and the shifts when datasets are compared, and the chemical labels on the left get a
+    // third of the width, up to 250px, so narrow screens still have room for the points
+    plotWidth = getPlotWidth();
+    const svgWidth = plotWidth;
+    const margin = {
+      top: 50,
+      right: 20 + (subRows.length > 1 ? 25 : 0) + (bothModes ? 45 : 0) + (comparing ? 45 : 0),
+      bottom: 0,
+      left: Math.min(250, Math.max(120, Math.round(svgWidth / 3)))
+    };
+    // chemical names too long for a narrowed margin are cut short, with the full name shown on hover
+    const maxLabelLength = margin.left < 250 ? Math.floor((margin.left - 16) / 7.5) : Infinity;
+    const rowHeight = subRows.length > 1 ? 25 * subRows.length : 35;
+    // leave room for at least two rows between the axes when only a few chemicals are shown
+    const getSvgHeight = nPageRows => Math.max(nPageRows * rowHeight, 2 * margin.top + 2 * rowHeight);
+
+    // x-scale, for the transformed RF values, shared by every page so they line up. Unless the axis range is fixed,
+    // it fits the data with a little padding so the points at either end aren't cut in half
+    const [ xMin, xMax ] = state.xDomain ?? d3.extent(visiblePoints, d => d.logRF);
+    const xPadding = state.xDomain ? 0 : (xMax - xMin || 1) * 0.03;
+    // untransformed RF values are never negative, so the padding shouldn't push the axis below 0
+    const xLow = state.transform === "linear" && xMin >= 0 ? Math.max(0, xMin - xPadding) : xMin - xPadding;
+    const baseXScale = d3.scaleLinear()
+      .domain([xLow, xMax + xPadding])
+      .range([margin.left, svgWidth - margin.right]);
+    if (!state.xDomain) {
+      baseXScale.nice();
+    }
+
+    // handle zoom functionality, redrawing the plot resets the zoom. The zoom is semantic: rather than scaling the
+    // drawing, the RF axis and the row spacing are rescaled and what is drawn on each page is moved to match, so the
+    // points and text keep their size and the axes and chemical labels stay in place
+    zoomTransform = d3.zoomIdentity;
+    resetZoomButton.attr("disabled", true);
+    const pageZooms = d3.local();
+    zoom = d3.zoom()
+      .scaleExtent([0.5, 3])
+      .filter(function(event) {
+        // Disable zoom on scroll unless ctrl is pressed
+        // Shift+drag brushes points to pin instead of panning
+        return event.ctrlKey || (!event.button && event.type !== 'wheel' && !event.shiftKey);
+      })
+      .wheelDelta(function(event) {
+        // Adjust zoom speed
+        return -event.deltaY * (event.ctrlKey ? 0.003 : 0.05);
+      })
+      .on("zoom", function(event) {
+        const zoomedSvg = this;
+        zoomTransform = event.transform;
+        pageZooms.get(zoomedSvg)(event.transform);
+        const { k, x, y } = event.transform;
+        resetZoomButton.attr("disabled", k === 1 && x === 0 && y === 0 ? true : null);
+        // keep the other pages in step when the user zooms or pans one of them. Their contents are moved directly, and
+        // the transform is stored on each svg where the zoom behavior keeps it, so a gesture on another page carries on
+        // from it
+        if (event.sourceEvent) {
+          svgGridContainer.selectAll(".strip-plot-page svg")
+            .filter(function() { return this !== zoomedSvg; })
+            .each(function() {
+              this.__zoom = event.transform;
+              pageZooms.get(this)(event.transform);
+            });
+        }
+      })
+      .on("end", notifyViewChange);
+
+    // Reset zoom on Ctrl+Space, only for the strip plot that has the focus, or the one under the pointer when nothing
+    // else on the page has the focus
+    d3.select(document).on(`keydown.stripPlot${state.id}`, (event) => {
+      const targeted = container.node().contains(event.target)
+        || (event.target === document.body && container.node().matches(":hover"));
+      if (event.ctrlKey && event.code === "Space" && targeted) {
+        event.preventDefault();
+        resetZoom();
+      }
+    });
+
+    // lay out a placeholder of the right height for each page, the pages are only drawn while they are in view
+    svgGridContainer.selectAll(".strip-plot-page")
+      .data(svgIDs)
+      .join("div")
+      .attr("class", svgID => `strip-plot-page ${svgID}`)
+      .style("height", (svgID, iPlot) => `${getSvgHeight(currentPages[iPlot].length)}px`)
+      .style("margin-bottom", "8px");
+
+    // adds a page's svg to its placeholder, or to the hidden element an export is drawn in
+    drawPage = (pageNode, chemicalNames, svgID, isExport = false) => {
+      const svg = d3.select(pageNode).append("svg")
+        .attr("width", svgWidth)
+        .attr("height", getSvgHeight(chemicalNames.length))
+        .attr("class", svgID)
+        .style("display", "block")
+        .style("overflow", "hidden")
+        .style("box-shadow", "0 0 6px rgba(0,0,0,0.2)");
+
+      const applyZoom = drawPageContents(svg, chemicalNames, svgID);
+
+      // exports are drawn unzoomed, so they include every row
+      if (isExport) {
+        applyZoom(d3.zoomIdentity);
+        return svg;
+      }
+
+      // the zoom moves what is on the page whenever it changes. Pages drawn while scrolling start with the zoom of the
+      // pages already drawn
+      pageZooms.set(svg.node(), applyZoom);
+      svg.call(zoom)
+        .on("dblclick.zoom", null)
+        .call(zoom.transform, zoomTransform);
+      return svg;
+    };
+
+    // draws the axes, rows and points of a page into its svg, and returns the function that moves them to a zoom. The
+    // elements are only created here, a zoom updates the scales, the axes and the positions
+    const drawPageContents = (svg, chemicalNames, svgID) => {
+      const svgHeight = getSvgHeight(chemicalNames.length);
+      const plotBottom = svgHeight - margin.top - margin.bottom;
+      const g = svg.append("g");
+
+      // the x-scale and its ticks follow the zoom
+      let xScale = baseXScale;
+
+      // y-scale, each chemical gets its own row, spaced out by the zoom. Only the rows whose centers are between the
+      // axes are labeled
       const yScale = d3.scaleBand()
-        .domain(chemicalNames)//.map(d => d.replace(/\(ESI/, "(")))
-        .range([margin.top, svgHeight - margin.top - margin.bottom])
+        .domain(chemicalNames)
+        .range([margin.top, plotBottom])
         .padding(0.5);
+      const getRowCenterY = name => yScale(name) + yScale.bandwidth() / 2;
+      const getRowTop = name => getRowCenterY(name) - yScale.step() / 2;
+      const isRowShown = name => getRowCenterY(name) >= margin.top && getRowCenterY(name) <= plotBottom;
 
-      // x-scale, for log RF values
-      const [ xMin, xMax ] = d3.extent(pointsData, d => d.logRF);
-      const xTickMax = Math.floor(xMax) +1;
-      const xTicks = [];
-      for (let i = 0; i <= xTickMax+1; i++) {
-        xTicks.push(i);
-      }
-      const xScale = d3.scaleLinear()
-        .domain([-0.5, xTickMax])
-        .range([margin.left, svgWidth - margin.right]);
+      // each point sits on its row's center line, or on its mode's and dataset's sub-row, spread evenly over the row
+      const getSubRowSpacing = () => yScale.step() * 0.8 / subRows.length;
+      const getSubRowOffset = (mode, dataset) => {
+        return (getSubRowIndex(mode, dataset) - (subRows.length - 1) / 2) * getSubRowSpacing();
+      };
+      const getSubRowY = d => getRowCenterY(d.name) + getSubRowOffset(d.mode, d.dataset);
 
-      // draw axes
+      // clip the points, overlays and row highlights to the area between the axes
+      const clipId = `strip-plot-${state.id}-${svgID}-clip`;
+      svg.append("clipPath")
+        .attr("id", clipId)
+        .append("rect")
+        .attr("x", margin.left)
+        .attr("y", margin.top)
+        .attr("width", svgWidth - margin.left - margin.right)
+        .attr("height", plotBottom - margin.top);
+      const rowHighlights = g.append("g")
+        .attr("clip-path", `url(#${clipId})`);
+
+      // draw axes, their ticks are set by the zoom
       const xAxisTop = g.append("g")
-        .attr("transform", `translate(0, ${margin.top})`)
-        .call(d3.axisTop(xScale).tickValues(xTicks.slice(0,-1)).tickSizeOuter(0).tickFormat(d3.format("d")))
-        .selectAll("text")
-        .style("font-size", "14px");
+        .attr("transform", `translate(0, ${margin.top})`);
 
+      // mark the chemicals that were only detected in one mode
+      const getOnlyMode = name => {
+        const medians = modeComparison?.get(name);
+        if (!medians || medians.difference !== null) {
+          return null;
+        }
+        return medians["ESI+"] === null ? "ESI-" : "ESI+";
+      };
+      const getRowLabel = d => getOnlyMode(d) ? `${d} (${getOnlyMode(d)} only)` : d;
+      const isLabelCut = d => getRowLabel(d).length > maxLabelLength;
       const yAxis = g.append("g")
-        .attr("transform", `translate(${margin.left}, 0)`)
-        .call(d3.axisLeft(yScale).tickSizeOuter(0))
-        .selectAll("text")
-        .style("font-size", "14px");
+        .attr("transform", `translate(${margin.left}, 0)`);
 
-      // add bottom and right axes
+      // add bottom axis, and the left and right sides of the frame, which stay put while the rows move
       const xAxisBottom = g.append("g")
-        .attr("transform", `translate(0, ${svgHeight - margin.bottom - margin.top})`)
-        .call(d3.axisBottom(xScale).tickSize(0).tickFormat(""))
+        .attr("transform", `translate(0, ${plotBottom})`);
 
-      const yAxisRight = g.append("g")
-        .attr("transform", `translate(${svgWidth - margin.right}, 0)`)
-        .call(d3.axisRight(yScale).tickSize(0).tickFormat(""))
+      g.append("rect")
+        .attr("class", "plot-frame")
+        .attr("x", margin.left)
+        .attr("y", margin.top)
+        .attr("width", svgWidth - margin.left - margin.right)
+        .attr("height", plotBottom - margin.top)
+        .style("fill", "none")
+        .style("stroke", "currentColor");
 
       // add grid lines
       const gridGroup = g.append("g")
         .attr("class", "grid-lines");
-      
-      gridGroup.selectAll(".y-grid")
-        .data(yScale.domain())
+      const gridLines = chemicalNames.flatMap(name => subRows.map(subRow => ({ name, ...subRow })));
+
+      const yGridLines = gridGroup.selectAll(".y-grid")
+        .data(gridLines)
         .enter()
         .append("line")
         .attr("class", "y-grid")
         .attr("x1", margin.left)
         .attr("x2", svgWidth - margin.right)
-        .attr("y1", d => yScale(d) + yScale.bandwidth() / 2)
-        .attr("y2", d => yScale(d) + yScale.bandwidth() / 2)
         .attr("stroke", "#ddd")
+        .attr("stroke-dasharray", d => d.mode === "ESI-" ? "4 3" : null)
         .attr("stroke-width", 1);
 
-      gridGroup.selectAll(".x-grid")
-        .data(xTicks.slice(0, xTicks.length - 2))
+      // label the sub-rows with their mode and dataset number
+      const subRowLabels = g.append("g")
+        .attr("class", "sub-row-labels")
+        .style("font-size", "12px")
+        .selectAll(".sub-row-label")
+        .data(subRows.length > 1 ? gridLines : [])
         .enter()
-        .append("line")
-        .attr("class", "x-grid")
-        .attr("x1", d => xScale(d))
-        .attr("x2", d => xScale(d))
-        .attr("y1", margin.top)
-        .attr("y2", svgHeight - margin.top - margin.bottom)
-        .attr("stroke", "#ddd")
-        .attr("stroke-width", 1);
+        .append("text")
+        .attr("class", "sub-row-label")
+        .attr("x", svgWidth - margin.right + 4)
+        .attr("dy", "0.35em")
+        .style("fill", "#777")
+        .text(d => {
+          const modeLabel = bothModes ? (d.mode === "ESI+" ? "+" : "−") : "";
+          return `${modeLabel}${comparing ? [null, ...datasetNames].indexOf(d.dataset) + 1 : ""}`;
+        });
+
+      // show the difference in median log RF between the modes, left of the shifts when datasets are compared
+      const medianDifferenceX = svgWidth - 4 - (comparing ? 45 : 0);
+      if (bothModes) {
+        const modeComparisonGroup = g.append("g")
+          .attr("class", "mode-comparison")
+          .style("font-size", "12px");
+
+        modeComparisonGroup.selectAll(".median-difference")
+          .data(chemicalNames)
+          .enter()
+          .append("text")
+          .attr("class", "median-difference")
+          .attr("x", medianDifferenceX)
+          .attr("dy", "0.35em")
+          .attr("text-anchor", "end")
+          .style("fill", d => getOnlyMode(d) ? "#777" : "black")
+          .style("font-style", d => getOnlyMode(d) ? "italic" : null)
+          .text(d => {
+            const difference = modeComparison.get(d)?.difference;
+            return getOnlyMode(d) ? `${getOnlyMode(d).slice(-1)} only` : d3.format("+.2f")(difference);
+          });
+
+        modeComparisonGroup.append("text")
+          .attr("x", medianDifferenceX)
+          .attr("y", margin.top - 10)
+          .attr("text-anchor", "end")
+          .style("font-weight", "bold")
+          .text("Δ median");
+      }
+
+      // show the largest shift in median log RF from the main dataset, of either mode when both are shown
+      if (comparing) {
+        const getRowShift = name => {
+          const chemicals = bothModes ? [`${name} (ESI+)`, `${name} (ESI-)`] : [name];
+          const shifts = chemicals.map(chemical => datasetComparison.get(chemical)?.shift ?? null)
+            .filter(shift => shift !== null);
+          return d3.greatest(shifts, shift => Math.abs(shift)) ?? null;
+        };
+        const datasetComparisonGroup = g.append("g")
+          .attr("class", "dataset-comparison")
+          .style("font-size", "12px");
+
+        datasetComparisonGroup.selectAll(".dataset-shift")
+          .data(chemicalNames)
+          .enter()
+          .append("text")
+          .attr("class", "dataset-shift")
+          .attr("x", svgWidth - 4)
+          .attr("dy", "0.35em")
+          .attr("text-anchor", "end")
+          .style("fill", d => getRowShift(d) === null ? "#777" : "black")
+          .text(d => getRowShift(d) === null ? "–" : d3.format("+.2f")(getRowShift(d)));
+
+        datasetComparisonGroup.append("text")
+          .attr("x", svgWidth - 4)
+          .attr("y", margin.top - 10)
+          .attr("text-anchor", "end")
+          .style("font-weight", "bold")
+          .text("Shift");
+      }
+
+      // the values given for each row move with their rows
+      const rowValues = g.selectAll(".median-difference, .dataset-shift");
 
       // add x-axis title
       g.append("text")
@@ -539,36 +3539,1340 @@ async function stripPlotsMain(inputXlsxPath) {
         .attr("text-anchor", "middle")
         .style("font-size", "16px")
         .style("font-weight", "bold")
-        .text("Log RF");
+        .text(rfTransforms[state.transform].title);
       
-      // add points
-      const subsetData = pointsData.filter(d => chemicalNames.includes(d.chemical));
-      const yBW = yScale.bandwidth();
-      g.selectAll("circle")
+      // highlight the row of the chemical found by the search
+      const searchedRow = searchedChemical && (bothModes ? getBaseChemicalName(searchedChemical) : searchedChemical);
+      if (chemicalNames.includes(searchedRow)) {
+        rowHighlights.append("rect")
+          .datum(searchedRow)
+          .attr("class", "search-highlight")
+          .attr("x", margin.left)
+          .attr("width", svgWidth - margin.left - margin.right)
+          .style("fill", "#ffff99");
+      }
+
+      // highlight the rows of the chemicals brushed in the retention time scatter, when they aren't filtered
+      if (brushedChemicals && !filterBrushed) {
+        const brushedRows = new Set([...brushedChemicals].map(chemical => {
+          return bothModes ? getBaseChemicalName(chemical) : chemical;
+        }));
+        rowHighlights.append("g")
+          .attr("class", "brush-highlights")
+          .selectAll("rect")
+          .data(chemicalNames.filter(name => brushedRows.has(name)))
+          .join("rect")
+          .attr("class", "brush-highlight")
+          .attr("x", margin.left)
+          .attr("width", svgWidth - margin.left - margin.right)
+          .style("fill", "#dde8ff");
+      }
+
+      // when the chemicals are grouped, start each group with a line and a header, and repeat the header on the first
+      // labeled row so a group that continues from the page above, or from above the zoomed view, is still labeled.
+      // The repeated header has no row of its own, the zoom moves it to the first labeled row
+      const getRowGroupOf = name => getGroup(pointsByRow.get(name)[0]);
+      const groupStarts = getGroup ? chemicalNames.filter((name, i) => i === 0
+        || getRowGroupOf(name) !== getRowGroupOf(chemicalNames[i - 1])) : [];
+      const groupHeaders = g.append("g")
+        .attr("class", "group-headers")
+        .selectAll("g")
+        .data(getGroup ? [...groupStarts, null] : [])
+        .join("g")
+        .attr("class", "group-header");
+      groupHeaders.append("line")
+        .attr("x1", 0)
+        .attr("x2", svgWidth - margin.right)
+        .style("stroke", "#999");
+      groupHeaders.append("text")
+        .attr("x", 4)
+        .attr("dy", 11)
+        .style("font-size", "12px")
+        .style("font-weight", "bold")
+        .style("paint-order", "stroke")
+        .style("stroke", "white")
+        .style("stroke-width", 3);
+
+      // draw the distribution of each chemical's included points behind them, on its own sub-row
+      const subsetData = chemicalNames.flatMap(name => pointsByRow.get(name));
+      const getOverlayHalfHeight = () => subRows.length > 1 ? getSubRowSpacing() * 0.45 : yScale.step() * 0.4;
+      const getRowCenter = d => getRowCenterY(getRowName(d)) + getSubRowOffset(d.mode, d.dataset);
+      const distributions = groupByChemical(subsetData.filter(d => !d.excluded))
+        .map(points => {
+          const values = points.map(d => d.logRF);
+          return { point: points[0], ...summarizeDistribution(values), density: kernelDensity(values) };
+        });
+
+      // clip the points and overlays that are zoomed, panned or outside a fixed axis range out of the area between the
+      // axes
+      const plotArea = g.append("g")
+        .attr("clip-path", `url(#${clipId})`);
+
+      const overlayGroup = plotArea.append("g")
+        .attr("class", "distribution-overlays")
+        .style("pointer-events", "none");
+
+      const violins = overlayGroup.selectAll(".violin")
+        .data(state.overlays.has("violin") ? distributions.filter(d => d.density) : [])
+        .enter().append("path")
+        .attr("class", "violin")
+        .style("fill", "#999")
+        .style("fill-opacity", 0.3)
+        .style("stroke", "#777")
+        .style("stroke-width", 1);
+
+      const boxes = overlayGroup.selectAll(".box-plot")
+        .data(state.overlays.has("box") ? distributions : [])
+        .enter().append("g")
+        .attr("class", "box-plot")
+        .style("stroke", "#333")
+        .style("stroke-width", 1.5);
+      const whiskers = boxes.append("line")
+        .attr("class", "whisker");
+      const whiskerCaps = boxes.selectAll(".whisker-cap")
+        .data(d => [d.whiskerMin, d.whiskerMax].map(x => ({ x, point: d.point })))
+        .enter().append("line")
+        .attr("class", "whisker-cap");
+      const iqrBoxes = boxes.append("rect")
+        .attr("class", "iqr-box")
+        .style("fill", "white")
+        .style("fill-opacity", 0.5);
+
+      const medianTicks = overlayGroup.selectAll(".median-tick")
+        .data(state.overlays.has("median") ? distributions : [])
+        .enter().append("line")
+        .attr("class", "median-tick")
+        .style("stroke", "black")
+        .style("stroke-width", 3);
+
+      // Shift+drag pins every point in the brushed region, it sits below the points so they can still be hovered
+      const brush = d3.brush()
+        .extent([[margin.left, margin.top], [svgWidth - margin.right, svgHeight - margin.top - margin.bottom]])
+        .filter(event => event.shiftKey && !event.button)
+        .keyModifiers(false)
+        .on("end", function(event) {
+          if (!event.selection) {
+            return;
+          }
+          const [[x0, y0], [x1, y1]] = event.selection;
+          d3.select(this).call(brush.move, null);
+          pinPoints(plotArea.selectAll("circle.stripCircle")
+            .filter(function() {
+              const cx = Number(this.getAttribute("cx"));
+              const cy = Number(this.getAttribute("cy"));
+              return cx >= x0 && cx <= x1 && cy >= y0 && cy <= y1;
+            })
+            .data());
+        });
+      plotArea.append("g")
+        .attr("class", "pin-brush")
+        .call(brush)
+        .selectAll(".overlay")
+        .attr("cursor", null);
+
+      // add points, spread out vertically by an amount seeded from each point's key when jitter is on, as a share of
+      // the jitter height so that it scales with the rows
+      const jitters = new Map(state.overlays.has("jitter")
+        ? subsetData.map(d => [d, seededRandomNumRange(getPointKey(d.chemical, d.sampleName, d.dataset), -1, 1)])
+        : []);
+      plotArea.selectAll("circle")
         .data(subsetData)
         .enter().append("circle")
         .attr("class", "stripCircle")
-        .attr("cx", d => xScale(d.logRF))
-        .attr("cy", d => yScale(d.chemical) + yBW / 2)// + randomNumRange(-yBW/2, yBW/2)) // .replace(/\(ESI/, "(") //center in band then add random
         .attr("r", 6)
-        .style("fill", d => d.color)
-        .style("stroke-width", 1)
-        .style("stroke", "black")
+        .style("fill", d => d.excluded ? "#ccc" : d.color)
+        .style("stroke-width", d => d.outlier ? 3 : 1)
+        .style("stroke", d => d.excluded ? "#999" : d.outlier ? "#cc0000" : "black")
         .style("opacity", 0.6)
+        .style("cursor", "pointer")
+        .on("click", (event, d) => event.altKey ? toggleExclusion(d) : togglePin(d, event.shiftKey))
         .on("mouseover", function(event, d) {
-          d3.selectAll("circle.stripCircle").transition().duration(300).attr("r", 6);
-          d3.select(this).transition().duration(300).attr("r", 12);
-          const c = d.color;
-          tooltipContainer.transition().duration(300).style("opacity", 1).style("background-color", c);
-          tooltip.html(`<b>Chemical:</b> ${d.chemical.split(" (")[0]}<br><b>Ionization Mode:</b> ${d.mode}<br><b>Feature ID:</b> ${d.featureId}<br><b>Sample Name:</b> ${d.sampleName}<br><b>Retention Time:</b> ${d.retentionTime}min<br><b>Log RF:</b> ${d.logRF.toFixed(2)}`);
+          selectPoint(d);
+          dispatch.call("hover", null, d);
         })
-    });
+      svg.selectAll("circle.stripCircle")
+        .filter(d => getPointKey(d.chemical, d.sampleName, d.dataset) === selectedKey)
+        .attr("r", 12);
+      applyHighlight();
+
+      return transform => {
+        xScale = transform.rescaleX(baseXScale);
+        yScale.range([margin.top, plotBottom].map(y => transform.applyY(y)));
+        const xTicks = xScale.ticks(8);
+        // untransformed RFs get plain numbers rather than SI prefixes, which would label an RF of 0.5 as "500m"
+        const xTickFormat = state.transform === "linear" ? d3.format("~g") : xScale.tickFormat(8);
+        const shownNames = chemicalNames.filter(isRowShown);
+        const rowDisplay = name => isRowShown(name) ? null : "none";
+
+        xAxisTop.call(d3.axisTop(xScale).tickValues(xTicks).tickSizeOuter(0).tickFormat(xTickFormat))
+          .selectAll("text")
+          .style("font-size", "14px");
+        // the axis rewrites the labels, which removes the titles that give the full names of the cut ones
+        yAxis.call(d3.axisLeft(yScale).tickValues(shownNames).tickFormat(d => {
+          return isLabelCut(d) ? `${getRowLabel(d).slice(0, maxLabelLength - 1)}…` : getRowLabel(d);
+        }))
+          .call(axis => axis.select(".domain").remove())
+          .selectAll(".tick text")
+          .style("font-size", "14px")
+          .style("font-style", d => getOnlyMode(d) ? "italic" : null)
+          .style("fill", d => getOnlyMode(d) ? "#777" : null)
+          .selectAll("title")
+          .data(d => isLabelCut(d) ? [d] : [])
+          .join("title")
+          .text(getRowLabel);
+        xAxisBottom.call(d3.axisBottom(xScale).tickSize(0).tickFormat(""));
+
+        yGridLines
+          .attr("y1", getSubRowY)
+          .attr("y2", getSubRowY)
+          .style("display", d => rowDisplay(d.name));
+        gridGroup.selectAll(".x-grid")
+          .data(xTicks)
+          .join(enter => enter.append("line")
+            .attr("class", "x-grid")
+            .attr("y1", margin.top)
+            .attr("y2", plotBottom)
+            .attr("stroke", "#ddd")
+            .attr("stroke-width", 1))
+          .attr("x1", d => xScale(d))
+          .attr("x2", d => xScale(d));
+        subRowLabels
+          .attr("y", getSubRowY)
+          .style("display", d => rowDisplay(d.name));
+        rowValues
+          .attr("y", getRowCenterY)
+          .style("display", rowDisplay);
+
+        rowHighlights.selectAll("rect")
+          .attr("y", getRowTop)
+          .attr("height", yScale.step());
+
+        const isHeaderShown = name => name === null
+          ? shownNames.length > 0 && !groupStarts.includes(shownNames[0])
+          : isRowShown(name);
+        const shownHeaders = groupHeaders
+          .style("display", name => isHeaderShown(name) ? null : "none")
+          .filter(isHeaderShown);
+        shownHeaders.select("line")
+          .attr("y1", name => getRowTop(name ?? shownNames[0]))
+          .attr("y2", name => getRowTop(name ?? shownNames[0]));
+        shownHeaders.select("text")
+          .attr("y", name => getRowTop(name ?? shownNames[0]))
+          .text(name => getGroupLabel(getRowGroupOf(name ?? shownNames[0])));
+
+        const overlayHalfHeight = getOverlayHalfHeight();
+        violins.attr("d", d => {
+          const y = getRowCenter(d.point);
+          const maxDensity = d3.max(d.density, ([, density]) => density);
+          const yOffset = d3.scaleLinear([0, maxDensity], [0, overlayHalfHeight]);
+          return d3.area()
+            .x(([x]) => xScale(x))
+            .y0(([, density]) => y - yOffset(density))
+            .y1(([, density]) => y + yOffset(density))
+            .curve(d3.curveBasis)(d.density);
+        });
+        whiskers
+          .attr("x1", d => xScale(d.whiskerMin))
+          .attr("x2", d => xScale(d.whiskerMax))
+          .attr("y1", d => getRowCenter(d.point))
+          .attr("y2", d => getRowCenter(d.point));
+        whiskerCaps
+          .attr("x1", d => xScale(d.x))
+          .attr("x2", d => xScale(d.x))
+          .attr("y1", d => getRowCenter(d.point) - overlayHalfHeight / 2)
+          .attr("y2", d => getRowCenter(d.point) + overlayHalfHeight / 2);
+        iqrBoxes
+          .attr("x", d => xScale(d.q1))
+          .attr("y", d => getRowCenter(d.point) - overlayHalfHeight * 0.8)
+          .attr("width", d => xScale(d.q3) - xScale(d.q1))
+          .attr("height", overlayHalfHeight * 1.6);
+        medianTicks
+          .attr("x1", d => xScale(d.median))
+          .attr("x2", d => xScale(d.median))
+          .attr("y1", d => getRowCenter(d.point) - overlayHalfHeight)
+          .attr("y2", d => getRowCenter(d.point) + overlayHalfHeight);
+
+        // the pin markers and the focus ring carry their point's datum, so they move with it
+        const jitterHeight = overlayHalfHeight * 0.6;
+        plotArea.selectAll("circle.stripCircle, circle.pin-marker, circle.focus-ring")
+          .attr("cx", d => xScale(d.logRF))
+          .attr("cy", d => getRowCenter(d) + (jitters.get(d) ?? 0) * jitterHeight);
+      };
+    };
+
+    renderVisiblePages();
+    updatePageSelect();
+    updateDataTable();
+    updatePinnedTable();
+    updateSampleView();
+    updateRTScatter();
+    updateCustomOrderList();
+    notifyViewChange();
     return zoom;
   }
 
+  /**
+   * Moves the keyboard focus between points with the arrow keys, Home and End, pins the focused point with Enter or
+   * Space (Shift adds it to the pinned points), and excludes or includes it with X. Up and Down move to the point in
+   * the next row nearest the focused one.
+   * @param {KeyboardEvent} event The keydown event.
+   */
+  function handlePlotKeydown(event) {
+    const navigationKeys = ["ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown", "Home", "End", "Enter", " ", "x", "X"];
+    if (!navigationKeys.includes(event.key) || event.ctrlKey || event.altKey || event.metaKey
+      || currentRows.length === 0) {
+      return;
+    }
+    event.preventDefault();
+
+    const isFocused = d => getPointKey(d.chemical, d.sampleName, d.dataset) === focusedKey;
+    const iRow = currentRows.findIndex(points => points.some(isFocused));
+    // start from the first point on the page in view
+    if (iRow === -1) {
+      focusPoint(currentRows[Number(pageSelect.property("value")) * nChemsPerPlot][0]);
+      return;
+    }
+    const row = currentRows[iRow];
+    const iPoint = row.findIndex(isFocused);
+    const focused = row[iPoint];
+
+    if (event.key === "Enter" || event.key === " ") {
+      togglePin(focused, event.shiftKey);
+    } else if (event.key === "x" || event.key === "X") {
+      toggleExclusion(focused);
+      // the points are rebuilt, so announce the focused point's new state from its new datum
+      focusPoint(currentPointsData.find(isFocused) ?? focused);
+    } else if (event.key === "ArrowLeft" || event.key === "ArrowRight") {
+      focusPoint(row[Math.min(Math.max(iPoint + (event.key === "ArrowLeft" ? -1 : 1), 0), row.length - 1)]);
+    } else if (event.key === "Home" || event.key === "End") {
+      focusPoint(event.key === "Home" ? row[0] : row.at(-1));
+    } else {
+      const nextRow = currentRows[iRow + (event.key === "ArrowUp" ? -1 : 1)] ?? row;
+      focusPoint(d3.least(nextRow, d => Math.abs(d.logRF - focused.logRF)));
+    }
+  }
+
+  /**
+   * Gives a point the keyboard focus, drawing its page and scrolling it into view, and selects it so that the
+   * tooltip shows and announces its data.
+   * @param {object} d The point's datum.
+   */
+  function focusPoint(d) {
+    focusedKey = getPointKey(d.chemical, d.sampleName, d.dataset);
+    const iPage = Math.floor(currentRows.findIndex(points => points.includes(d)) / nChemsPerPlot);
+    if (svgGridContainer.selectAll(".strip-plot-page").filter((svgID, i) => i === iPage).select("svg").empty()) {
+      scrollToPage(iPage);
+    }
+    selectPoint(d);
+    updateFocusRing();
+
+    // scroll just far enough to show the point
+    const ring = svgGridContainer.select("circle.focus-ring").node();
+    if (ring) {
+      const containerNode = svgGridContainer.node();
+      const containerRect = containerNode.getBoundingClientRect();
+      const ringRect = ring.getBoundingClientRect();
+      if (ringRect.top < containerRect.top) {
+        containerNode.scrollTop -= containerRect.top - ringRect.top + 10;
+      } else if (ringRect.bottom > containerRect.bottom) {
+        containerNode.scrollTop += ringRect.bottom - containerRect.bottom + 10;
+      }
+    }
+  }
+
+  /**
+   * Draws a ring around the point with the keyboard focus while the plot has the focus.
+   */
+  function updateFocusRing() {
+    svgGridContainer.selectAll("circle.focus-ring").remove();
+    if (document.activeElement !== svgGridContainer.node()) {
+      return;
+    }
+    const focusedCircle = svgGridContainer.selectAll("circle.stripCircle")
+      .filter(d => getPointKey(d.chemical, d.sampleName, d.dataset) === focusedKey);
+    if (focusedCircle.empty()) {
+      return;
+    }
+    d3.select(focusedCircle.node().parentNode).append("circle")
+      .datum(focusedCircle.datum())
+      .attr("class", "focus-ring")
+      .attr("cx", focusedCircle.attr("cx"))
+      .attr("cy", focusedCircle.attr("cy"))
+      .attr("r", 16)
+      .style("fill", "none")
+      .style("stroke", "#0050c8")
+      .style("stroke-width", 3)
+      .style("pointer-events", "none");
+  }
+
+  /**
+   * Lists the plotted points in the data table, in the same order as the keyboard moves through them. The rows are
+   * only filled in while the table is open.
+   */
+  function updateDataTable() {
+    dataTable.selectAll("th")
+      .text(col => col.name);
+    const sortName = sortOptions[sortedBy === "shift" && !comparing ? "ml" : sortedBy].label;
+    const groupName = state.groupBy === "Retention Time" ? "retention time bin" : state.groupBy;
+    const orderName = sortOrders[state.sortOrder].toLowerCase();
+    dataTableCaption.text(`${currentPointsData.length} plotted points, grouped by `
+      + `${groupName ? `${groupName} and ` : ""}chemical and sorted by ${sortName} (${orderName})`);
+    dataTableBody.selectAll("tr")
+      .data(dataTableDetails.property("open") ? currentRows.flat() : [])
+      .join("tr")
+      .selectAll("td")
+      .data(d => dataTableColumns.map(col => col.value(d)))
+      .join("td")
+      .style("padding", "2px 8px")
+      .text(d => d);
+  }
+
+  /**
+   * Redraws the sample QC view from the plotted points while it is open, so it follows the mode, filters and
+   * exclusions of the strip plot.
+   */
+  function updateSampleView() {
+    panelWidth = getPanelWidth();
+    sampleViewContainer.selectAll("*").remove();
+    sampleViewLegend.selectAll("*").remove();
+    if (!sampleViewDetails.property("open")) {
+      return;
+    }
+    if (currentPointsData.length === 0) {
+      sampleViewContainer.append("div")
+        .text("Every point is hidden by the filters");
+      return;
+    }
+    // a symmetric range keeps no deviation in the middle of the axis or color scale
+    const maxDeviation = d3.max(currentPointsData, d => Math.abs(getDeviation(d) ?? 0)) || 1;
+    if (sampleViewSelect.property("value") === "heatmap") {
+      drawSampleHeatmap(maxDeviation);
+    } else {
+      drawSampleStripPlot(maxDeviation);
+    }
+  }
+
+  /**
+   * Draws one row per sample, with a point for each chemical's deviation from its median and the sample's median
+   * deviation on the right.
+   * @param {number} maxDeviation The largest deviation from a median, either side of it.
+   */
+  function drawSampleStripPlot(maxDeviation) {
+    const samples = pivotBySample(currentPointsData);
+    // the plot fills the panel, and like the strip plot the sample names get a third of the width, up to 250px
+    const svgWidth = getPanelWidth();
+    const margin = { top: 50, right: 90, bottom: 10, left: Math.min(250, Math.max(120, Math.round(svgWidth / 3))) };
+    const rowHeight = 35;
+    const svgHeight = margin.top + samples.length * rowHeight + margin.bottom;
+
+    const xScale = d3.scaleLinear()
+      .domain([-maxDeviation, maxDeviation])
+      .range([margin.left, svgWidth - margin.right])
+      .nice();
+    const yScale = d3.scaleBand()
+      .domain(samples.map(d => d.sampleName))
+      .range([margin.top, svgHeight - margin.bottom])
+      .padding(0.5);
+    const getRowCenter = d => yScale(d.sampleName) + yScale.bandwidth() / 2;
+
+    // shrink rather than scroll sideways when a scrollbar takes some of the width, keeping the proportions
+    const svg = sampleViewContainer.append("svg")
+      .attr("width", svgWidth)
+      .attr("height", svgHeight)
+      .attr("viewBox", `0 0 ${svgWidth} ${svgHeight}`)
+      .style("display", "block")
+      .style("max-width", "100%")
+      .style("height", "auto");
+
+    svg.append("g")
+      .attr("transform", `translate(0, ${margin.top})`)
+      .call(d3.axisTop(xScale).ticks(8).tickFormat(d => d === 0 ? "0" : d3.format("+~g")(d)))
+      .selectAll("text")
+      .style("font-size", "14px");
+
+    svg.append("g")
+      .attr("transform", `translate(${margin.left}, 0)`)
+      .call(d3.axisLeft(yScale).tickSizeOuter(0))
+      .selectAll("text")
+      .style("font-size", "14px");
+
+    svg.append("text")
+      .attr("x", (svgWidth + margin.left) / 2)
+      .attr("y", 20)
+      .attr("text-anchor", "middle")
+      .style("font-size", "16px")
+      .style("font-weight", "bold")
+      .text(`Deviation from median ${rfTransforms[state.transform].title}`);
+
+    svg.selectAll(".y-grid")
+      .data(samples)
+      .enter()
+      .append("line")
+      .attr("class", "y-grid")
+      .attr("x1", margin.left)
+      .attr("x2", svgWidth - margin.right)
+      .attr("y1", getRowCenter)
+      .attr("y2", getRowCenter)
+      .attr("stroke", "#ddd")
+      .attr("stroke-width", 1);
+
+    svg.append("line")
+      .attr("class", "zero-line")
+      .attr("x1", xScale(0))
+      .attr("x2", xScale(0))
+      .attr("y1", margin.top)
+      .attr("y2", svgHeight - margin.bottom)
+      .attr("stroke", "#777")
+      .attr("stroke-dasharray", "4 3");
+
+    // spread the chemicals out vertically, seeded so that they don't move between redraws
+    const jitterHeight = yScale.step() * 0.3;
+    const getJitter = d => {
+      return seededRandomNumRange(getPointKey(d.chemical, d.sampleName, d.dataset), -jitterHeight, jitterHeight);
+    };
+    // a point of a chemical whose points are all excluded has no deviation to place it at
+    svg.selectAll("circle")
+      .data(samples.flatMap(d => d.points).filter(d => getDeviation(d) !== null))
+      .enter().append("circle")
+      .attr("class", "sample-point")
+      .attr("cx", d => xScale(getDeviation(d)))
+      .attr("cy", d => getRowCenter(d) + getJitter(d))
+      .attr("r", 4)
+      .style("fill", d => d.excluded ? "#ccc" : d.color)
+      .style("stroke", d => d.excluded ? "#999" : "black")
+      .style("stroke-width", 0.5)
+      .style("opacity", 0.7)
+      .style("cursor", "pointer")
+      .on("mouseover", (event, d) => selectPoint(d))
+      .on("click", (event, d) => showInStripPlot(d));
+
+    svg.append("text")
+      .attr("x", svgWidth - 4)
+      .attr("y", margin.top - 10)
+      .attr("text-anchor", "end")
+      .style("font-size", "12px")
+      .style("font-weight", "bold")
+      .text("Median Δ");
+
+    svg.selectAll(".sample-median")
+      .data(samples)
+      .enter()
+      .append("text")
+      .attr("class", "sample-median")
+      .attr("x", svgWidth - 4)
+      .attr("y", getRowCenter)
+      .attr("dy", "0.35em")
+      .attr("text-anchor", "end")
+      .style("font-size", "12px")
+      .text(d => d.medianDeviation === null ? "–" : d3.format("+.2f")(d.medianDeviation));
+  }
+
+  /**
+   * Draws a heatmap with a row per sample and a column per chemical, in the strip plot's order, colored by each
+   * measurement's deviation from its chemical's median.
+   * @param {number} maxDeviation The largest deviation from a median, either side of it.
+   */
+  function drawSampleHeatmap(maxDeviation) {
+    const samples = pivotBySample(currentPointsData);
+    const chemicals = [...new Set(currentRows.flat().map(d => d.chemical))];
+    // the columns share the width of the panel left of the sample names, and are labeled only when they are wide enough
+    // to read. Too many chemicals to fit scroll sideways
+    const panelWidth = getPanelWidth();
+    const marginLeft = Math.min(250, Math.max(120, Math.round(panelWidth / 3)));
+    const cellWidth = Math.max(4, Math.min(24, (panelWidth - marginLeft - 20) / chemicals.length));
+    const cellHeight = 24;
+    const showChemicalNames = cellWidth >= 10;
+    const margin = { top: showChemicalNames ? 200 : 10, right: 20, bottom: 10, left: marginLeft };
+    const svgWidth = margin.left + chemicals.length * cellWidth + margin.right;
+    const svgHeight = margin.top + samples.length * cellHeight + margin.bottom;
+
+    const xScale = d3.scaleBand()
+      .domain(chemicals)
+      .range([margin.left, svgWidth - margin.right]);
+    const yScale = d3.scaleBand()
+      .domain(samples.map(d => d.sampleName))
+      .range([margin.top, svgHeight - margin.bottom]);
+    // red reads high and blue reads low
+    const colorScale = d3.scaleDiverging(d3.interpolateRdBu)
+      .domain([maxDeviation, 0, -maxDeviation]);
+
+    const svg = sampleViewContainer.append("svg")
+      .attr("width", svgWidth)
+      .attr("height", svgHeight)
+      .style("display", "block");
+
+    svg.append("g")
+      .attr("transform", `translate(${margin.left}, 0)`)
+      .call(d3.axisLeft(yScale).tickSize(0))
+      .call(g => g.select(".domain").remove())
+      .selectAll("text")
+      .style("font-size", "14px");
+
+    if (showChemicalNames) {
+      svg.append("g")
+        .attr("transform", `translate(0, ${margin.top})`)
+        .call(d3.axisTop(xScale).tickSize(0))
+        .call(g => g.select(".domain").remove())
+        .selectAll("text")
+        .attr("transform", "rotate(-60)")
+        .attr("dx", "0.5em")
+        .attr("dy", "0.35em")
+        .attr("text-anchor", "start")
+        .style("font-size", "12px");
+    }
+
+    svg.selectAll("rect")
+      .data(currentPointsData)
+      .enter().append("rect")
+      .attr("class", "heatmap-cell")
+      .attr("x", d => xScale(d.chemical))
+      .attr("y", d => yScale(d.sampleName))
+      .attr("width", xScale.bandwidth())
+      .attr("height", yScale.bandwidth())
+      .style("fill", d => d.excluded || getDeviation(d) === null ? "#ccc" : colorScale(getDeviation(d)))
+      .style("stroke", "white")
+      .style("stroke-width", cellWidth >= 6 ? 0.5 : 0)
+      .style("cursor", "pointer")
+      .on("mouseover", (event, d) => selectPoint(d))
+      .on("click", (event, d) => showInStripPlot(d));
+
+    // the legend steps across the color scale from low to high, with excluded points in grey at the end
+    const format = d3.format("+.2f");
+    sampleViewLegend.append("span")
+      .text(`Δ median ${rfTransforms[state.transform].title}: ${format(-maxDeviation)}`);
+    sampleViewLegend.selectAll(".legend-step")
+      .data(d3.range(-4, 5).map(step => step / 4 * maxDeviation))
+      .join("span")
+      .attr("class", "legend-step")
+      .attr("title", format)
+      .style("display", "inline-block")
+      .style("width", "16px")
+      .style("height", "16px")
+      .style("background-color", colorScale);
+    sampleViewLegend.append("span")
+      .text(format(maxDeviation));
+    sampleViewLegend.append("span")
+      .style("display", "inline-block")
+      .style("width", "16px")
+      .style("height", "16px")
+      .style("margin-left", "8px")
+      .style("background-color", "#ccc");
+    sampleViewLegend.append("span")
+      .text("excluded");
+  }
+
+  /**
+   * Redraws the retention time scatter from the points that pass the filters while it is open, so it follows the
+   * mode, filters and exclusions of the strip plot. The scatter isn't narrowed down by its own brush, the chemicals
+   * outside the brush are faded instead.
+   */
+  function updateRTScatter() {
+    panelWidth = getPanelWidth();
+    const trend = rtScatterTrendSelect.property("value");
+    rtScatterSpanLabel.style("display", trend === "loess" ? null : "none");
+    rtScatterStatus.text(brushedChemicals ? `${brushedChemicals.size} chemicals selected` : "");
+    rtScatterLegend.selectAll("*").remove();
+    rtScatterContainer.selectAll("*").remove();
+    if (!rtScatterDetails.property("open")) {
+      return;
+    }
+
+    // each feature's median is a point of its own, colored by its mode, and a feature whose points are all excluded
+    // has no median
+    const showMedians = rtScatterValueSelect.property("value") === "median";
+    const getValue = showMedians ? d => d.medianLogRF : d => d.logRF;
+    const modeColors = { "ESI+": colorblindSafePalette[4], "ESI-": colorblindSafePalette[5] };
+    const scatterData = (showMedians
+      ? groupByChemical(currentScatterPoints).map(points => {
+        const { chemical, mode, dataset, featureId, retentionTime, medianLogRF } = points[0];
+        return { chemical, mode, dataset, featureId, retentionTime, medianLogRF, excluded: null };
+      })
+      : currentScatterPoints).filter(d => Number.isFinite(getValue(d)));
+    if (scatterData.length === 0) {
+      rtScatterContainer.append("div")
+        .text("Every point is hidden by the filters");
+      return;
+    }
+
+    const margin = { top: 20, right: 20, bottom: 50, left: 70 };
+    const svgWidth = getPanelWidth();
+    const svgHeight = 400;
+    const xScale = d3.scaleLinear()
+      .domain(d3.extent(scatterData, d => d.retentionTime))
+      .range([margin.left, svgWidth - margin.right])
+      .nice();
+    const yScale = d3.scaleLinear()
+      .domain(d3.extent(scatterData, getValue))
+      .range([svgHeight - margin.bottom, margin.top])
+      .nice();
+    const valueTitle = `${showMedians ? "Median " : ""}${rfTransforms[state.transform].title}`;
+
+    // shrink rather than scroll sideways when a scrollbar takes some of the width, keeping the proportions
+    const svg = rtScatterContainer.append("svg")
+      .attr("width", svgWidth)
+      .attr("height", svgHeight)
+      .attr("viewBox", `0 0 ${svgWidth} ${svgHeight}`)
+      .style("display", "block")
+      .style("max-width", "100%")
+      .style("height", "auto");
+
+    svg.append("g")
+      .attr("transform", `translate(0, ${svgHeight - margin.bottom})`)
+      .call(d3.axisBottom(xScale).ticks(8))
+      .selectAll("text")
+      .style("font-size", "14px");
+
+    svg.append("g")
+      .attr("transform", `translate(${margin.left}, 0)`)
+      .call(d3.axisLeft(yScale).ticks(6).tickFormat(state.transform === "linear" ? d3.format("~g") : null))
+      .selectAll("text")
+      .style("font-size", "14px");
+
+    svg.append("text")
+      .attr("x", (svgWidth + margin.left) / 2)
+      .attr("y", svgHeight - 10)
+      .attr("text-anchor", "middle")
+      .style("font-size", "16px")
+      .style("font-weight", "bold")
+      .text("Retention Time (min)");
+
+    svg.append("text")
+      .attr("transform", `translate(18, ${(svgHeight - margin.bottom + margin.top) / 2}) rotate(-90)`)
+      .attr("text-anchor", "middle")
+      .style("font-size", "16px")
+      .style("font-weight", "bold")
+      .text(valueTitle);
+
+    // dragging picks out the chemicals of the points in the region, and clicking clears them. The brush sits below the
+    // points so they can still be hovered
+    const brush = d3.brush()
+      .extent([[margin.left, margin.top], [svgWidth - margin.right, svgHeight - margin.bottom]])
+      .on("end", (event) => {
+        if (!event.sourceEvent) {
+          return;
+        }
+        if (!event.selection) {
+          setBrushedChemicals(null);
+          return;
+        }
+        const [[x0, y0], [x1, y1]] = event.selection;
+        const brushedPoints = scatterData.filter(d => {
+          const x = xScale(d.retentionTime);
+          const y = yScale(getValue(d));
+          return x >= x0 && x <= x1 && y >= y0 && y <= y1;
+        });
+        setBrushedChemicals(new Set(brushedPoints.map(d => d.chemical)));
+      });
+    svg.append("g")
+      .attr("class", "rt-scatter-brush")
+      .call(brush);
+
+    // fit a trend through each mode's and dataset's included points, the compared datasets' trends are dashed
+    if (trend !== "none") {
+      const span = Math.min(1, Math.max(0.1, Number(rtScatterSpanInput.property("value")) || 0.75));
+      const trendLines = d3.groups(scatterData.filter(d => !d.excluded), d => d.mode, d => d.dataset)
+        .flatMap(([mode, datasets]) => datasets.map(([dataset, points]) => {
+          const line = trendFits[trend].fit(points.map(d => [d.retentionTime, getValue(d)]), span);
+          return { mode, dataset, line };
+        }))
+        .filter(d => d.line);
+      svg.append("g")
+        .attr("class", "rt-scatter-trends")
+        .style("pointer-events", "none")
+        .selectAll("path")
+        .data(trendLines)
+        .join("path")
+        .attr("class", "rt-scatter-trend-line")
+        .attr("d", d => d3.line(([x]) => xScale(x), ([, y]) => yScale(y))(d.line))
+        .style("fill", "none")
+        .style("stroke", d => modeColors[d.mode])
+        .style("stroke-width", 2.5)
+        .style("stroke-dasharray", d => d.dataset === null ? null : "6 4");
+    }
+
+    svg.append("g")
+      .attr("class", "rt-scatter-points")
+      .selectAll("circle")
+      .data(scatterData)
+      .join("circle")
+      .attr("class", "rt-scatter-point")
+      .attr("cx", d => xScale(d.retentionTime))
+      .attr("cy", d => yScale(getValue(d)))
+      .attr("r", showMedians ? 5 : 4)
+      .style("fill", d => d.excluded ? "#ccc" : showMedians ? modeColors[d.mode] : d.color)
+      .style("stroke", d => d.excluded ? "#999" : "black")
+      .style("stroke-width", 0.5)
+      .style("opacity", d => brushedChemicals && !brushedChemicals.has(d.chemical) ? 0.15 : 0.7)
+      .style("cursor", "pointer")
+      .on("mouseover", (event, d) => showMedians ? applyRTScatterHighlight(d) : selectPoint(d))
+      .on("click", (event, d) => showInStripPlot(d))
+      .append("title")
+      .text(d => `${getBaseChemicalName(d.chemical)} (${d.mode})${comparing ? `, ${getDatasetName(d)}` : ""}`
+        + `${showMedians ? "" : `, ${d.sampleName}`}\nRetention Time: ${d.retentionTime} min\n`
+        + `${valueTitle}: ${getValue(d).toFixed(2)}`);
+    applyRTScatterHighlight();
+
+    // the legend shows the mode colors of the medians and trends
+    if (showMedians || trend !== "none") {
+      const legendEntries = rtScatterLegend.selectAll(".legend-entry")
+        .data(Object.keys(modeColors).filter(mode => scatterData.some(d => d.mode === mode)))
+        .join("span")
+        .attr("class", "legend-entry")
+        .style("display", "flex")
+        .style("align-items", "center")
+        .style("gap", "4px");
+      legendEntries.append("span")
+        .style("display", "inline-block")
+        .style("width", "16px")
+        .style("height", "16px")
+        .style("background-color", mode => modeColors[mode]);
+      legendEntries.append("span")
+        .text(mode => mode);
+      if (comparing && trend !== "none") {
+        rtScatterLegend.append("span")
+          .text("Compared datasets' trends are dashed");
+      }
+    }
+  }
+
+  /**
+   * Enlarges and outlines the points of one feature in the retention time scatter, by default the feature of the
+   * point selected in the strip plot, so a point hovered there can be found here.
+   * @param {object} [feature] A point or feature median from the scatter.
+   */
+  function applyRTScatterHighlight(feature) {
+    feature ??= currentScatterPoints.find(d => getPointKey(d.chemical, d.sampleName, d.dataset) === selectedKey);
+    const isHighlighted = d => {
+      return feature !== undefined && d.chemical === feature.chemical && d.dataset === feature.dataset;
+    };
+    const radius = rtScatterValueSelect.property("value") === "median" ? 5 : 4;
+    rtScatterContainer.selectAll("circle.rt-scatter-point")
+      .attr("r", d => isHighlighted(d) ? radius + 3 : radius)
+      .style("stroke-width", d => isHighlighted(d) ? 2 : 0.5)
+      .filter(isHighlighted)
+      .raise();
+  }
+
+  /**
+   * Picks out the chemicals brushed in the retention time scatter in the strip plot, showing only their rows or
+   * highlighting them depending on the scatter's checkbox.
+   * @param {?Set<string>} chemicals The names of the brushed chemicals, or null to clear the selection.
+   */
+  function setBrushedChemicals(chemicals) {
+    brushedChemicals = chemicals?.size > 0 ? chemicals : null;
+    makeStripPlot(data, sortedBy, showMode, false);
+  }
+
+  /**
+   * Finds a point from the sample QC view or retention time scatter in the strip plot, switching mode if needed, and
+   * shows it in the tooltip. A feature median from the scatter only finds its chemical.
+   * @param {object} d The point's datum.
+   */
+  function showInStripPlot(d) {
+    searchChemical(d.chemical);
+    filterPanel.select("input.chemical-search").property("value", searchedChemical ?? "");
+    const point = currentPointsData.find(point => point.chemical === d.chemical && point.sampleName === d.sampleName);
+    if (point) {
+      selectPoint(point);
+    }
+    svgGridContainer.node().scrollIntoView({ behavior: "smooth", block: "center" });
+  }
+
+  /**
+   * Enlarges a point and shows its data in the tooltip. The point stays selected until another one is hovered.
+   * @param {object} d The point's datum.
+   */
+  function selectPoint(d) {
+    // only the previously selected point and the new one change, so a hover doesn't start a transition on every point
+    const changedKeys = [selectedKey, getPointKey(d.chemical, d.sampleName, d.dataset)];
+    selectedKey = changedKeys[1];
+    svgGridContainer.selectAll("circle.stripCircle")
+      .filter(point => changedKeys.includes(getPointKey(point.chemical, point.sampleName, point.dataset)))
+      .transition().duration(300)
+      .attr("r", point => getPointKey(point.chemical, point.sampleName, point.dataset) === selectedKey ? 12 : 6);
+    const c = d.color;
+    tooltipContainer.transition().duration(300).style("opacity", 1).style("background-color", c);
+    // the names come from whatever file was loaded, so they are only ever added as text
+    const fields = [
+      ["Chemical", getBaseChemicalName(d.chemical)],
+      ["Ionization Mode", d.mode],
+      ["Feature ID", d.featureId],
+      ["Sample Name", `${d.sampleName}${comparing ? ` (${getDatasetName(d)})` : ""}`],
+      ["Retention Time", `${d.retentionTime}min`],
+      [rfTransforms[state.transform].title, d.logRF.toFixed(2)],
+      ["Outlier", d.outlier ?? "no"],
+      ["Excluded", d.excluded ?? "no"]
+    ];
+    tooltip.selectAll("*").remove();
+    fields.forEach(([label, value], i) => {
+      if (i > 0) {
+        tooltip.append("br");
+      }
+      tooltip.append("b").text(`${label}:`);
+      tooltip.append("span").text(` ${value}`);
+    });
+    applyRTScatterHighlight();
+    notifyViewChange();
+  }
+
+  /**
+   * Tells listeners, such as the URL hash, that the view has changed.
+   */
+  function notifyViewChange() {
+    dispatch.call("viewchange", null, getView());
+  }
+
+  /**
+   * Returns everything needed to restore the current view.
+   * @returns {StripPlotView} The view.
+   */
+  function getView() {
+    return {
+      dataset: source.path ?? null,
+      sheet: source.sheetName,
+      mode: showMode,
+      sort: sortedBy,
+      sortOrder: state.sortOrder,
+      groupBy: state.groupBy,
+      rtBinWidth: state.rtBinWidth,
+      customOrder: [...state.customOrder],
+      transform: state.transform,
+      colorBy: state.colorBy,
+      overlays: [...state.overlays],
+      xDomain: state.xDomain,
+      filters: { ...filters, hiddenSamples: [...filters.hiddenSamples] },
+      search: searchedChemical,
+      zoom: { k: zoomTransform.k, x: zoomTransform.x, y: zoomTransform.y },
+      scrollTop: svgGridContainer.node().scrollTop,
+      selected: selectedKey,
+      help: helpTooltipClicked
+    };
+  }
+
+  /**
+   * Restores a view returned by getView. Settings missing from the view are left as they are. The dataset isn't
+   * loaded here, that is up to createStripPlot.
+   * @param {StripPlotView} view The view to restore.
+   */
+  function setView(view) {
+    // changing the transform converts the data, and the filters and axis range, which the view may then override
+    if (view.transform && view.transform !== state.transform) {
+      setTransform(view.transform);
+    }
+    if (view.mode && view.mode !== showMode) {
+      showMode = state.mode = view.mode;
+      brushedChemicals = null;
+      dispatch.call("modechange", null, view.mode);
+    }
+    if ((view.sort && view.sort !== sortedBy) || (view.sortOrder && view.sortOrder !== state.sortOrder)) {
+      sortedBy = state.sort = view.sort ?? sortedBy;
+      state.sortOrder = view.sortOrder ?? sortOptions[sortedBy].defaultOrder;
+      dispatch.call("sortchange", null, sortedBy, state.sortOrder);
+    }
+    if (view.groupBy !== undefined) {
+      state.groupBy = view.groupBy === "Retention Time" || groupColumns.includes(view.groupBy) ? view.groupBy : null;
+    }
+    state.rtBinWidth = view.rtBinWidth ?? state.rtBinWidth;
+    state.customOrder = view.customOrder ? [...view.customOrder] : state.customOrder;
+    state.colorBy = view.colorBy ?? state.colorBy;
+    state.overlays = view.overlays ? new Set(view.overlays) : state.overlays;
+    state.xDomain = view.xDomain !== undefined ? view.xDomain : state.xDomain;
+    if (view.filters) {
+      Object.assign(filters, view.filters, { hiddenSamples: new Set(view.filters.hiddenSamples) });
+    }
+    if (view.search !== undefined) {
+      searchedChemical = view.search && (findChemical(data, view.search)?.["Chemical Name"] ?? null);
+    }
+    syncControls();
+    highlightedKey = null;
+    updateColorDomain();
+    updateLegend();
+    updateOutliers(false);
+
+    if (view.scrollTop !== undefined) {
+      svgGridContainer.node().scrollTop = view.scrollTop;
+      renderVisiblePages();
+      updatePageSelect();
+    }
+    if (view.zoom && zoom) {
+      const { k, x, y } = view.zoom;
+      zoomTransform = d3.zoomIdentity.translate(x, y).scale(k);
+      svgGridContainer.selectAll("svg").call(zoom.transform, zoomTransform);
+    }
+    if (view.selected !== undefined) {
+      const selectedPoint = currentPointsData
+        .find(d => getPointKey(d.chemical, d.sampleName, d.dataset) === view.selected);
+      if (selectedPoint) {
+        selectPoint(selectedPoint);
+      }
+    }
+    if (view.help !== undefined) {
+      setHelpTooltip(view.help);
+    }
+    notifyViewChange();
+  }
+
+  /**
+   * Updates the controls to match the current settings, after they are changed by setTransform or setView.
+   */
+  function syncControls() {
+    updateSortControls();
+    Object.entries(modeButtons).forEach(([buttonMode, button]) => {
+      button.attr("aria-pressed", buttonMode === showMode)
+        .style("background-color", buttonMode === showMode ? "#ddffdd" : "#efefef");
+    });
+    Object.entries(overlayButtons).forEach(([id, button]) => {
+      button.attr("aria-pressed", state.overlays.has(id))
+        .style("background-color", state.overlays.has(id) ? "#ddffdd" : "#efefef");
+    });
+    colorControls.select("select.color-by").property("value", state.colorBy);
+    filterPanel.select("input.chemical-search").property("value", searchedChemical ?? "");
+    rtSliders[0].property("value", filters.rtMin ?? rtExtentMin);
+    rtSliders[1].property("value", filters.rtMax ?? rtExtentMax);
+    updateRTText();
+    filterPanel.select("select.rf-transform").property("value", state.transform);
+    logRFTitle.text(`${rfTransforms[state.transform].title}: `);
+    filterPanel.selectAll("input.log-rf-filter")
+      .attr("step", state.transform === "linear" ? "any" : 0.5)
+      .property("value", (d, i) => [filters.logRFMin, filters.logRFMax][i] ?? "");
+    axisRangeInputs.forEach((input, i) => input.property("value", state.xDomain?.[i] ?? ""));
+    sampleCheckboxes.property("checked", sampleName => !filters.hiddenSamples.has(sampleName));
+  }
+
+  /**
+   * Draws every chemical that passes the filters into a single temporary svg and serializes it, so exports include
+   * the pages that aren't drawn.
+   * @returns {{svgString: string, width: number, height: number}} The standalone SVG and its size in pixels.
+   */
+  function getFullPlotSVG() {
+    const svgNode = svgGridContainer.select("svg").node();
+    if (!drawPage) {
+      return {
+        svgString: getStandaloneSVG(svgNode),
+        width: Number(svgNode.getAttribute("width")),
+        height: Number(svgNode.getAttribute("height"))
+      };
+    }
+    const fullPage = svgGridContainer.append("div")
+      .style("position", "absolute")
+      .style("visibility", "hidden");
+    const svg = drawPage(fullPage.node(), currentPages.flat(), "svg-full", true);
+    const fullPlot = {
+      svgString: getStandaloneSVG(svg.node()),
+      width: Number(svg.attr("width")),
+      height: Number(svg.attr("height"))
+    };
+    fullPage.remove();
+    return fullPlot;
+  }
+
+  /**
+   * Returns the width the pages of the plot fill: the width inside the padding of the scrolled area, or 750px while it
+   * isn't laid out. Very narrow plots are kept wide enough to read, and scroll sideways.
+   * @returns {number} The width in pixels.
+   */
+  function getPlotWidth() {
+    const width = svgGridContainer.node().clientWidth - 16;
+    return width > 0 ? Math.max(width, 320) : 750;
+  }
+
+  /**
+   * Returns the width the sample QC view and the retention time scatter fill: the width inside the padding and border
+   * of the panels that span the grid, or 750px while it isn't laid out.
+   * @returns {number} The width in pixels.
+   */
+  function getPanelWidth() {
+    const width = parentGridContainer.node().clientWidth - 20;
+    return width > 0 ? Math.max(width, 320) : 750;
+  }
+
+  /**
+   * Moves the side column below the plot when the strip plot is too narrow for both to fit side by side.
+   */
+  function updateLayout() {
+    // a container that is not laid out yet (clientWidth 0) keeps the wide layout
+    const containerWidth = parentGridContainer.node().clientWidth;
+    const isNarrow = containerWidth > 0 && containerWidth < 900;
+    parentGridContainer.style("grid-template-columns", isNarrow ? "auto minmax(0, 1fr)" : "auto minmax(0, 1fr) 300px");
+    sideColumn.style("grid-column", isNarrow ? "1 / -1" : null);
+  }
+
+  /**
+   * Zooms the plot back out to its full extent, as Ctrl+Space does.
+   */
+  function resetZoom() {
+    if (drawPage) {
+      svgGridContainer.selectAll(".strip-plot-page svg")
+        .transition()
+        .duration(750)
+        .call(zoom.transform, d3.zoomIdentity);
+    }
+  }
+
+  /**
+   * Draws the pages that are within a screen's height of the scrolled view, and removes the rest so that only a
+   * few hundred rows are ever in the document.
+   */
+  function renderVisiblePages() {
+    const containerNode = svgGridContainer.node();
+    const viewTop = containerNode.scrollTop - containerNode.clientHeight;
+    const viewBottom = containerNode.scrollTop + 2 * containerNode.clientHeight;
+    svgGridContainer.selectAll(".strip-plot-page").each(function(svgID, iPlot) {
+      const inView = this.offsetTop <= viewBottom && this.offsetTop + this.offsetHeight >= viewTop;
+      const page = d3.select(this);
+      if (inView && page.select("svg").empty()) {
+        drawPage(this, currentPages[iPlot], svgID);
+      } else if (!inView) {
+        page.select("svg").remove();
+      }
+    });
+    updatePinMarkers();
+    updateFocusRing();
+  }
+
+  /**
+   * Lists the pages in the page menu, hiding it when everything fits on one page, and selects the scrolled page.
+   */
+  function updatePageSelect() {
+    pageLabel.style("display", currentPages.length > 1 ? null : "none");
+    let firstRow = 0;
+    pageSelect.selectAll("option")
+      .data(currentPages)
+      .join("option")
+      .attr("value", (chemicalNames, iPage) => iPage)
+      .text((chemicalNames, iPage) => {
+        firstRow += chemicalNames.length;
+        return `${iPage + 1} (chemicals ${firstRow - chemicalNames.length + 1}–${firstRow})`;
+      });
+
+    const scrollTop = svgGridContainer.node().scrollTop;
+    const pageNodes = svgGridContainer.selectAll(".strip-plot-page").nodes();
+    const scrolledPage = pageNodes.findLastIndex(node => node.offsetTop <= scrollTop);
+    pageSelect.property("value", Math.max(scrolledPage, 0));
+  }
+
+  /**
+   * Scrolls a page of the plot to the top of the view and draws it.
+   * @param {number} iPage The index of the page.
+   */
+  function scrollToPage(iPage) {
+    const pageNode = svgGridContainer.selectAll(".strip-plot-page").nodes()[iPage];
+    svgGridContainer.node().scrollTop = pageNode.offsetTop;
+    renderVisiblePages();
+  }
+
 }
 
-const inputXlsxPath = "./data/qNTA_Surrogate_Detection_Statistics_File_WW2DW.xlsx";
-stripPlotsMain(inputXlsxPath);
+/**
+ * Creates a strip plot of the log RF values in an INTERPRET NTA results sheet inside an element. Each call builds an
+ * independent instance with its own state, elements and listeners, so several strip plots can coexist on one page.
+ * The initial data is loaded asynchronously, so listeners added with on() right after creation see its load event.
+ * @param {HTMLElement} element The element that will hold the strip plot.
+ * @param {object[]|string|File} source The rows of a results sheet, or a path or File of a workbook to read. Rows
+ * and sheets laid out differently are mapped as the column mapping panel shows.
+ * @param {object} [options] Options for the strip plot.
+ * @param {"+"|"-"|"both"} [options.mode="+"] The ionization mode to show first.
+ * @param {string} [options.sort="ml"] The key of the sort menu to sort the chemicals by: "name", "rt", "ml", "iqr",
+ * "sd", "cv", "outliers", "excluded", "samples", "shift" (the largest shift between compared datasets) or "custom".
+ * @param {"asc"|"desc"} [options.sortOrder] Sort in ascending or descending order, the sort key's default if not
+ * given, which is descending for the spread, point counts other than samples, and shift.
+ * @param {?string} [options.groupBy=null] Group the chemicals under headers by retention time bin ("Retention
+ * Time"), or by a text column of the sheet such as a chemical class. They aren't grouped by default.
+ * @param {number} [options.rtBinWidth=5] The width of the retention time bins, in minutes.
+ * @param {string[]} [options.customOrder=[]] The chemical names, without their mode suffix, in the order the "custom"
+ * sort puts them in.
+ * @param {"chemical"|"sample"|"group"} [options.colorBy="chemical"] Color the points by chemical, sample name or
+ * sample group.
+ * @param {string|RegExp} [options.sampleGroupPattern="^[^_]+"] The pattern used to parse sample groups from sample
+ * names, whose first capture group (or whole match) is the group.
+ * @param {string[]} [options.palette] The colors used for the points, a colorblind-safe palette by default.
+ * @param {Array<"median"|"box"|"violin"|"jitter">} [options.overlays=[]] The distribution overlays to draw for each
+ * chemical, and whether to jitter the points.
+ * @param {number} [options.rowsPerPage=100] The number of chemicals drawn in each page of the plot. Pages are only
+ * drawn while they are scrolled into view.
+ * @param {"ln"|"log10"|"linear"} [options.transform="ln"] Plot the natural log, log base 10 or untransformed RF values.
+ * @param {number[]} [options.xDomain] A fixed [min, max] range for the RF axis, in transformed units, so that plots
+ * of different datasets can be compared. The axis fits the data by default.
+ * @param {boolean} [options.fileLoader=true] Whether to show the file picker and accept dropped files.
+ * @param {boolean} [options.presets=true] Whether to show the bar for saving and restoring named view presets.
+ * @param {boolean} [options.urlHash=false] Whether to keep the view in the page's URL hash, and restore the view in
+ * the hash on load, so it can be shared as a link. Only one strip plot on a page should use the hash.
+ * @param {string} [options.name="data"] The dataset name used for saved exclusions and exported file names when
+ * rows are given rather than a workbook.
+ * @returns {StripPlot} The strip plot instance.
+ */
+export function createStripPlot(element, source, options = {}) {
+  const state = {
+    id: nStripPlots++,
+    mode: options.mode ?? "+",
+    sort: options.sort ?? "ml",
+    sortOrder: options.sortOrder ?? sortOptions[options.sort ?? "ml"]?.defaultOrder,
+    groupBy: options.groupBy ?? null,
+    rtBinWidth: options.rtBinWidth ?? 5,
+    customOrder: options.customOrder ?? [],
+    colorBy: options.colorBy ?? "chemical",
+    sampleGroupPattern: new RegExp(options.sampleGroupPattern ?? "^[^_]+"),
+    palette: options.palette ?? colorblindSafePalette,
+    overlays: new Set(options.overlays ?? []),
+    rowsPerPage: options.rowsPerPage ?? 100,
+    transform: options.transform ?? "ln",
+    xDomain: options.xDomain ?? null
+  };
+  checkOption(modes, state.mode, "mode");
+  checkOption(sortKeys, state.sort, "sort");
+  checkOption(Object.keys(sortOrders), state.sortOrder, "sortOrder");
+  if (!(state.rtBinWidth > 0)) {
+    throw new Error(`Invalid rtBinWidth "${state.rtBinWidth}", expected a positive number of minutes`);
+  }
+  checkOption(Object.keys(colorByOptions), state.colorBy, "colorBy");
+  state.overlays.forEach(overlay => checkOption(Object.keys(overlayOptions), overlay, "overlay"));
+  checkOption(Object.keys(rfTransforms), state.transform, "transform");
+  if (state.xDomain && !(state.xDomain.length === 2 && state.xDomain[0] < state.xDomain[1])) {
+    throw new Error(`Invalid xDomain "${state.xDomain}", expected [min, max] with min < max`);
+  }
+  if (!Number.isInteger(state.rowsPerPage) || state.rowsPerPage < 1) {
+    throw new Error(`Invalid rowsPerPage "${state.rowsPerPage}", expected a positive integer`);
+  }
+
+  // a view shared as a link overrides the options, the rest of it is restored once its data is plotted
+  const hashView = options.urlHash && location.hash.length > 1 ? decodeViewHash(location.hash) : null;
+  let pendingView = hashView;
+  if (hashView) {
+    ["mode", "sort", "sortOrder", "groupBy", "rtBinWidth", "transform", "colorBy", "xDomain"]
+      .filter(key => hashView[key] !== undefined)
+      .forEach(key => {
+        state[key] = hashView[key];
+      });
+    state.overlays = new Set(hashView.overlays);
+  }
+
+  const dispatch = d3.dispatch("load", "error", "modechange", "sortchange", "transformchange", "hover",
+    "exclusionchange", "pinchange", "viewchange");
+  const container = d3.select(element)
+    .append("div")
+    .attr("class", "strip-plots");
+  let plot = null;
+  let comparedDatasets = [];
+
+  // loading a new workbook or sheet replaces the current plot, and comparing other workbooks plots it again
+  const fileLoader = makeFileLoader(
+    container,
+    render,
+    error => dispatch.call("error", null, error),
+    options.fileLoader ?? true,
+    datasets => {
+      comparedDatasets = datasets;
+      fileLoader.refresh();
+    }
+  );
+
+  // write the view to the URL hash once it settles, browsers limit how often the history can be changed
+  let hashTimer = null;
+  if (options.urlHash) {
+    dispatch.on("viewchange.urlHash", view => {
+      clearTimeout(hashTimer);
+      hashTimer = setTimeout(() => history.replaceState(null, "", `#${encodeViewHash(view)}`), 250);
+    });
+    d3.select(window).on(`hashchange.stripPlot${state.id}`, () => instance.setView(decodeViewHash(location.hash)));
+  }
+
+  const instance = {
+    update(source) {
+      if (Array.isArray(source)) {
+        // mapping the columns copies the rows, which leaves the caller's data alone when they are cleaned
+        fileLoader.loadRows(source, options.name ?? "data");
+        return Promise.resolve();
+      }
+      return fileLoader.load(source);
+    },
+    setMode(mode) {
+      checkOption(modes, mode, "mode");
+      state.mode = mode;
+      plot?.setMode(mode);
+      return instance;
+    },
+    setSort(sortKey, order = sortOptions[sortKey]?.defaultOrder) {
+      checkOption(sortKeys, sortKey, "sort");
+      checkOption(Object.keys(sortOrders), order, "sortOrder");
+      state.sort = sortKey;
+      state.sortOrder = order;
+      plot?.setSort(sortKey, order);
+      return instance;
+    },
+    setTransform(transform) {
+      checkOption(Object.keys(rfTransforms), transform, "transform");
+      // the plot converts its data from the current transform, so it updates the state itself
+      if (plot) {
+        plot.setTransform(transform);
+      } else {
+        state.transform = transform;
+      }
+      return instance;
+    },
+    compare(sources) {
+      return fileLoader.compare(sources);
+    },
+    getView() {
+      return plot?.getView() ?? null;
+    },
+    setView(view) {
+      // a view of another workbook or sheet is restored once that has been loaded
+      const currentView = plot?.getView();
+      const isOtherDataset = view.dataset && (view.dataset !== currentView?.dataset
+        || (view.sheet ?? currentView.sheet) !== currentView.sheet);
+      if (isOtherDataset) {
+        pendingView = view;
+        return fileLoader.load(view.dataset, view.sheet);
+      }
+      if (plot) {
+        plot.setView(view);
+      } else {
+        pendingView = view;
+      }
+      return Promise.resolve();
+    },
+    on(type, callback) {
+      dispatch.on(type, callback);
+      return instance;
+    },
+    destroy() {
+      clearTimeout(hashTimer);
+      d3.select(window).on(`hashchange.stripPlot${state.id}`, null);
+      plot?.destroy();
+      plot = null;
+      container.remove();
+    }
+  };
+
+  if (options.presets ?? true) {
+    makePresetPanel(
+      container,
+      instance.getView,
+      instance.setView,
+      options.urlHash ? () => `${location.href.split("#")[0]}#${encodeViewHash(instance.getView() ?? {})}` : null
+    );
+  }
+
+  instance.ready = Promise.resolve().then(() => {
+    return hashView?.dataset ? fileLoader.load(hashView.dataset, hashView.sheet) : instance.update(source);
+  });
+
+  return instance;
 
+  function render(data, dataSource) {
+    plot?.destroy();
+    plot = renderStripPlots(container, data, dataSource, state, dispatch, comparedDatasets);
+    if (plot && pendingView) {
+      const view = pendingView;
+      pendingView = null;
+      plot.setView(view);
+    }
+    dispatch.call("load", null, dataSource);
+  }
 
+  function checkOption(validValues, value, name) {
+    if (!validValues.includes(value)) {
+      throw new Error(`Invalid ${name} "${value}", expected one of ${validValues.map(d => `"${d}"`).join(", ")}`);
+    }
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Smoke tests for the command line, which render each kind of output from a small workbook. Run from the repository
+ * root with:
+ *
+ *   node --test
+ */
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { createRequire } from "node:module";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+const run = promisify(execFile);
+const cliPath = fileURLToPath(new URL("../bin/strip-plots.mjs", import.meta.url));
+
+// the fixture workbook is written with the vendored SheetJS build the command line reads it with
+const require = createRequire(import.meta.url);
+const XLSX = require("../js/xlsx.core.min.js");
+
+/**
+ * Runs the command line.
+ * @param {string[]} args The arguments after the script.
+ * @returns {Promise<{stdout: string, stderr: string}>} What it printed.
+ */
+function runCLI(args) {
+  return run(process.execPath, [cliPath, ...args], { timeout: 60000 });
+}
+
+describe("strip-plots report", () => {
+  let dir;
+  let workbookPath;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "strip-plots-"));
+    workbookPath = path.join(dir, "fixture.xlsx");
+    const rows = [
+      ["caffeine", "ESI+", 2.5, [10, 12, 90]],
+      ["atrazine", "ESI+", 7.1, [3, 4, 5]],
+      ["PFOA", "ESI-", 9.8, [1, 2, 1.5]]
+    ].map(([chemical, mode, retentionTime, [a, b, c]]) => ({
+      "Chemical Name": chemical,
+      "Ionization Mode": mode,
+      "Retention Time": retentionTime,
+      "RF a": a,
+      "RF b": b,
+      "RF c": c
+    }));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), "Results");
+    await writeFile(workbookPath, XLSX.write(workbook, { type: "buffer", bookType: "xlsx" }));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("writes a static SVG with a circle for each point of the mode", async () => {
+    const svgPath = path.join(dir, "plot.svg");
+    await runCLI(["report", workbookPath, "-o", svgPath]);
+    const svg = await readFile(svgPath, "utf8");
+    assert.match(svg, /^<svg /);
+    assert.equal(svg.match(/<circle /g).length, 6);
+  });
+
+  it("writes a CSV summary with a row for each chemical", async () => {
+    const csvPath = path.join(dir, "stats.csv");
+    await runCLI(["report", workbookPath, "--mode", "both", "-o", csvPath]);
+    const lines = (await readFile(csvPath, "utf8")).trim().split(/\r?\n/);
+    assert.match(lines[0], /^chemical,/);
+    assert.equal(lines.length, 4);
+  });
+
+  it("writes an HTML page whose inlined module parses", async () => {
+    const htmlPath = path.join(dir, "report.html");
+    await runCLI(["report", workbookPath, "-o", htmlPath]);
+    const html = await readFile(htmlPath, "utf8");
+    const [ , moduleScript ] = html.match(/<script type="module">([\s\S]*?)<\/script>/);
+    assert.doesNotMatch(moduleScript, /^import /m);
+    const modulePath = path.join(dir, "report.mjs");
+    await writeFile(modulePath, moduleScript);
+    // rejects with the syntax error if the two modules don't fit together
+    await run(process.execPath, ["--check", modulePath], { timeout: 60000 });
+  });
+});
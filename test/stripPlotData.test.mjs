@@ -0,0 +1,338 @@
+/**
+ * Tests for the DOM-free data module. Run from the repository root with:
+ *
+ *   node --test
+ */
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { describe, it } from "node:test";
+
+import {
+  validateData, cleanData, guessColumnMapping, getUnmappedFields, applyColumnMapping, getPointKey,
+  calculateMedianLogRFs, getPointsData, getDeviation, flagOutliers, sortPoints, summarizeChemicals
+} from "../js/stripPlotData.js";
+
+// the data module uses the d3 global, as it does in the browser
+const require = createRequire(import.meta.url);
+globalThis.d3 = require("../js/d3.v7.min.js");
+
+/**
+ * Returns a results sheet row.
+ * @param {string} chemical The chemical name.
+ * @param {string} mode The ionization mode.
+ * @param {*} retentionTime The retention time.
+ * @param {Object<string, *>} rfs The RF value of each sample, keyed by sample name.
+ * @returns {object} The row.
+ */
+function makeRow(chemical, mode, retentionTime, rfs) {
+  const row = { "Chemical Name": chemical, "Ionization Mode": mode, "Retention Time": retentionTime };
+  Object.entries(rfs).forEach(([sampleName, rf]) => {
+    row[`RF ${sampleName}`] = rf;
+  });
+  return row;
+}
+
+/**
+ * Returns the points of one chemical with the given log RF values, as flagOutliers and sortPoints expect them.
+ * @param {string} chemical The chemical name.
+ * @param {number[]} values The log RF values.
+ * @returns {object[]} The points.
+ */
+function makePoints(chemical, values) {
+  return values.map((logRF, i) => ({
+    chemical,
+    baseChemical: chemical.replace(/ \(ESI[+-]\)$/, ""),
+    sampleName: `s${i + 1}`,
+    dataset: null,
+    mode: "ESI+",
+    retentionTime: 1,
+    logRF,
+    excluded: null
+  }));
+}
+
+describe("validateData", () => {
+  it("drops zero, negative and text RF values but keeps the rest of the row", () => {
+    const { data, problems, missingColumns } = validateData([
+      makeRow("caffeine", "ESI+", 2.5, { a: 10, b: 0, c: -3, d: "n/a", e: "20" })
+    ]);
+    assert.deepEqual(missingColumns, []);
+    assert.equal(data.length, 1);
+    assert.deepEqual(Object.keys(data[0]).filter(colName => colName.startsWith("RF ")), ["RF a", "RF e"]);
+    assert.equal(data[0]["RF e"], 20);
+    assert.deepEqual(problems.map(problem => [problem.sample, problem.dropped]), [
+      ["b", "point"],
+      ["c", "point"],
+      ["d", "point"]
+    ]);
+    assert.match(problems[0].reason, /zero or negative/);
+    assert.match(problems[2].reason, /not a number/);
+  });
+
+  it("drops a row whose retention time is text, and reads one written as a numeric string", () => {
+    const { data, problems } = validateData([
+      makeRow("caffeine", "ESI+", "early", { a: 10 }),
+      makeRow("nicotine", "ESI+", " 3.2 ", { a: 10 })
+    ]);
+    assert.deepEqual(data.map(row => row["Chemical Name"]), ["nicotine"]);
+    assert.equal(data[0]["Retention Time"], 3.2);
+    assert.equal(problems.length, 1);
+    assert.equal(problems[0].chemical, "caffeine");
+    assert.equal(problems[0].dropped, "row");
+    assert.equal(problems[0].row, 2);
+  });
+
+  it("drops a row without any valid RF values", () => {
+    const { data, problems } = validateData([makeRow("caffeine", "ESI+", 2, { a: 0, b: "" })]);
+    assert.equal(data.length, 0);
+    assert.equal(problems.at(-1).reason, "No valid RF values");
+  });
+
+  it("reports missing columns instead of rows", () => {
+    const { data, missingColumns } = validateData([{ "Chemical Name": "caffeine", "Ionization Mode": "ESI+" }]);
+    assert.deepEqual(data, []);
+    assert.deepEqual(missingColumns, ["Retention Time", "RF <sample>"]);
+  });
+});
+
+describe("cleanData", () => {
+  const getCleanRow = transform => cleanData([
+    { ...makeRow("caffeine", "ESI+", 2, { a: 100, b: 10 }), "Feature ID": 7, Class: "Stimulant" }
+  ], transform)[0];
+
+  it("takes the natural log of the RF values by default", () => {
+    const row = getCleanRow();
+    assert.equal(row["Chemical Name"], "caffeine (ESI+)");
+    assert.equal(row["log RF a"], Math.log(100));
+    assert.equal(row["log RF b"], Math.log(10));
+    assert.equal(row["Median Log RF"], (Math.log(100) + Math.log(10)) / 2);
+    assert.equal("RF a" in row, false);
+    assert.equal("Class" in row, false);
+    assert.equal(row["Feature ID"], 7);
+  });
+
+  it("takes the log base 10 of the RF values", () => {
+    const row = getCleanRow("log10");
+    assert.equal(row["log RF a"], 2);
+    assert.equal(row["log RF b"], 1);
+    assert.equal(row["Median Log RF"], 1.5);
+  });
+
+  it("leaves the RF values untransformed", () => {
+    const row = getCleanRow("linear");
+    assert.equal(row["log RF a"], 100);
+    assert.equal(row["log RF b"], 10);
+    assert.equal(row["Median Log RF"], 55);
+  });
+});
+
+describe("guessColumnMapping and applyColumnMapping", () => {
+  it("maps a wide sheet with other column names and RF prefix", () => {
+    const rows = [
+      { Compound: "caffeine", Polarity: "pos", RT: 2.1, Feature: 1, RF_10ppb: 5, RF_100ppb: 6, Class: "Stimulant" },
+      { Compound: "caffeine", Polarity: "Negative", RT: 2.2, Feature: 2, RF_10ppb: 7, RF_100ppb: null }
+    ];
+    const colNames = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const mapping = guessColumnMapping(colNames);
+    assert.equal(mapping.format, "wide");
+    assert.equal(mapping.rfPrefix, "RF_");
+    assert.equal(mapping.chemical, "Compound");
+    assert.equal(mapping.mode, "Polarity");
+    assert.equal(mapping.retentionTime, "RT");
+    assert.equal(mapping.featureId, "Feature");
+    assert.deepEqual(getUnmappedFields(mapping, colNames), []);
+
+    assert.deepEqual(applyColumnMapping(rows, mapping), [
+      {
+        "Chemical Name": "caffeine", "Ionization Mode": "ESI+", "Retention Time": 2.1, "Feature ID": 1,
+        Class: "Stimulant", "RF 10ppb": 5, "RF 100ppb": 6
+      },
+      {
+        "Chemical Name": "caffeine", "Ionization Mode": "ESI-", "Retention Time": 2.2, "Feature ID": 2,
+        "RF 10ppb": 7, "RF 100ppb": null
+      }
+    ]);
+  });
+
+  it("maps a long sheet onto one row per chemical, mode and feature", () => {
+    const rows = [
+      { Name: "caffeine", Mode: "ESI+", "RT (min)": 2.1, "Sample Name": "10ppb", "Response Factor": 5 },
+      { Name: "caffeine", Mode: "ESI+", "RT (min)": 2.1, "Sample Name": "100ppb", "Response Factor": 6 },
+      { Name: "caffeine", Mode: "ESI+", "RT (min)": 2.1, "Sample Name": "10ppb", "Response Factor": 9 },
+      { Name: "nicotine", Mode: "neg", "RT (min)": 4, "Sample Name": " 10ppb ", "Response Factor": 3 }
+    ];
+    const colNames = Object.keys(rows[0]);
+    const mapping = guessColumnMapping(colNames);
+    assert.equal(mapping.format, "long");
+    assert.equal(mapping.sample, "Sample Name");
+    assert.equal(mapping.rf, "Response Factor");
+    assert.equal(mapping.featureId, null);
+    assert.deepEqual(getUnmappedFields(mapping, colNames), []);
+
+    const mappedRows = applyColumnMapping(rows, mapping);
+    assert.equal(mappedRows.length, 2);
+    // the first value of a sample is kept
+    assert.deepEqual(mappedRows[0], {
+      "Chemical Name": "caffeine", "Ionization Mode": "ESI+", "Retention Time": 2.1, "Feature ID": null,
+      "RF 10ppb": 5, "RF 100ppb": 6
+    });
+    assert.equal(mappedRows[1]["Ionization Mode"], "ESI-");
+    assert.equal(mappedRows[1]["RF 10ppb"], 3);
+  });
+
+  it("matches column names however they are spaced or punctuated", () => {
+    const mapping = guessColumnMapping(["chemical-name", "Ion_Mode", "retention-time (min)", "RF a"]);
+    assert.equal(mapping.chemical, "chemical-name");
+    assert.equal(mapping.mode, "Ion_Mode");
+    assert.equal(mapping.retentionTime, "retention-time (min)");
+  });
+
+  it("reports the fields it couldn't map", () => {
+    const mapping = guessColumnMapping(["Compound", "Area 1"]);
+    assert.deepEqual(getUnmappedFields(mapping, ["Compound", "Area 1"]), [
+      "Ionization Mode", "Retention Time", "RF <sample>"
+    ]);
+  });
+});
+
+describe("getPointsData", () => {
+  const data = cleanData(validateData([
+    makeRow("caffeine", "ESI+", 2, { a: 1, b_: 2 }),
+    makeRow("caffeine", "ESI-", 2, { a: 3 })
+  ]).data);
+
+  it("returns a point for each RF value of the chosen mode", () => {
+    const points = getPointsData(data, "-");
+    assert.equal(points.length, 1);
+    assert.equal(points[0].chemical, "caffeine (ESI-)");
+    assert.equal(points[0].logRF, Math.log(3));
+  });
+
+  it("returns the points of both modes by default", () => {
+    const points = getPointsData(data);
+    assert.deepEqual(points.map(d => [d.chemical, d.sampleName]), [
+      ["caffeine (ESI+)", "a"],
+      ["caffeine (ESI+)", "b"],
+      ["caffeine (ESI-)", "a"]
+    ]);
+    assert.equal(points[0].baseChemical, "caffeine");
+  });
+});
+
+describe("calculateMedianLogRFs and getDeviation", () => {
+  const getData = () => cleanData(validateData([
+    makeRow("caffeine", "ESI+", 2, { a: 1, b: 3, c: 9 }),
+    makeRow("atrazine", "ESI+", 5, { a: 2, b: 4 })
+  ]).data);
+
+  it("gives each point its deviation from the median of the points that aren't excluded", () => {
+    const exclusions = new Map([[getPointKey("caffeine (ESI+)", "c"), { reason: "" }]]);
+    const points = getPointsData(calculateMedianLogRFs(getData(), exclusions));
+    assert.equal(points[0].medianLogRF, Math.log(Math.sqrt(3)));
+    assert.equal(getDeviation(points[1]), Math.log(3) - Math.log(Math.sqrt(3)));
+  });
+
+  it("leaves a chemical whose points are all excluded without a median or deviations", () => {
+    const exclusions = new Map(["a", "b"].map(sampleName => [getPointKey("atrazine (ESI+)", sampleName), {}]));
+    const points = getPointsData(calculateMedianLogRFs(getData(), exclusions))
+      .filter(d => d.chemical === "atrazine (ESI+)");
+    assert.equal(points.length, 2);
+    assert.equal(points[0].medianLogRF, undefined);
+    assert.deepEqual(points.map(getDeviation), [null, null]);
+  });
+});
+
+describe("flagOutliers", () => {
+  const getFlags = (values, ruleId, threshold) => {
+    return flagOutliers(makePoints("x", values), ruleId, threshold).map(d => d.outlier !== null);
+  };
+
+  it("flags values outside Tukey's fences", () => {
+    // Q1 = 2 and Q3 = 4, so the fences are at -1 and 7
+    assert.deepEqual(getFlags([1, 2, 3, 4, 100], "iqr", 1.5), [false, false, false, false, true]);
+    assert.deepEqual(getFlags([1, 2, 3, 4, 6.9], "iqr", 1.5), [false, false, false, false, false]);
+  });
+
+  it("flags values more than k scaled MADs from the median, and nothing when the MAD is 0", () => {
+    // the median is 3 and the MAD is 1, so values more than 3 × 1.4826 from 3 are flagged
+    assert.deepEqual(getFlags([1, 2, 3, 4, 100], "mad", 3), [false, false, false, false, true]);
+    assert.deepEqual(getFlags([-1.4, 2, 3, 4, 7.4], "mad", 3), [false, false, false, false, false]);
+    assert.deepEqual(getFlags([1, 1, 1, 1, 5], "mad", 3), [false, false, false, false, false]);
+  });
+
+  it("flags the NIST Grubbs example's outlier", () => {
+    // NIST/SEMATECH e-Handbook of Statistical Methods, 1.3.5.17.1: G = 2.4687 against a critical value of 2.1266
+    const values = [199.31, 199.53, 200.19, 200.82, 201.92, 201.95, 202.18, 245.57];
+    assert.deepEqual(getFlags(values, "grubbs", 0.05), [false, false, false, false, false, false, false, true]);
+  });
+
+  it("flags with Dixon's Q test only when Q is above the critical value for alpha", () => {
+    // Q = 0.455 for 0.167, above the critical value of 0.412 for alpha = 0.1 but not 0.466 for alpha = 0.05
+    const values = [0.189, 0.167, 0.187, 0.183, 0.186, 0.182, 0.181, 0.184, 0.181, 0.177];
+    assert.deepEqual(getFlags(values, "dixon", 0.1), values.map(v => v === 0.167));
+    assert.deepEqual(getFlags(values, "dixon", 0.05), values.map(() => false));
+    // critical values are only tabulated up to 10 values
+    assert.deepEqual(getFlags([...values, 0.185], "dixon", 0.1), [...values, 0.185].map(() => false));
+  });
+
+  it("leaves excluded points out, and never flags chemicals with fewer than 3 points", () => {
+    const points = makePoints("x", [1, 2, 3, 4, 100]);
+    points[4].excluded = "Confirmed bad measurement";
+    assert.deepEqual(flagOutliers(points, "iqr", 1.5).map(d => d.outlier), [null, null, null, null, null]);
+    assert.deepEqual(getFlags([1, 100], "iqr", 1.5), [false, false]);
+    assert.deepEqual(getFlags([1, 2, 3, 4, 100], "none"), [false, false, false, false, false]);
+  });
+});
+
+describe("sortPoints", () => {
+  const makeChemicals = () => [
+    ...makePoints("b (ESI+)", [3, 3.5]),
+    ...makePoints("a (ESI+)", [5, 1]),
+    ...makePoints("10-c (ESI+)", [2]),
+    ...makePoints("2-c (ESI+)", [4])
+  ];
+  const getRows = points => [...new Set(points.map(d => d.chemical))];
+
+  it("sorts by median log RF in either order", () => {
+    assert.deepEqual(getRows(sortPoints(makeChemicals(), "ml")), ["10-c (ESI+)", "a (ESI+)", "b (ESI+)", "2-c (ESI+)"]);
+    assert.deepEqual(getRows(sortPoints(makeChemicals(), "ml", { descending: true })), [
+      "2-c (ESI+)", "b (ESI+)", "a (ESI+)", "10-c (ESI+)"
+    ]);
+  });
+
+  it("sorts names with their numbers in order, and keeps each row's points in order", () => {
+    const points = sortPoints(makeChemicals(), "name");
+    assert.deepEqual(getRows(points), ["2-c (ESI+)", "10-c (ESI+)", "a (ESI+)", "b (ESI+)"]);
+    assert.deepEqual(points.filter(d => d.chemical === "a (ESI+)").map(d => d.logRF), [5, 1]);
+  });
+
+  it("puts rows missing from the custom order last, in either order", () => {
+    const customOrder = ["b", "10-c"];
+    assert.deepEqual(getRows(sortPoints(makeChemicals(), "custom", { customOrder })), [
+      "b (ESI+)", "10-c (ESI+)", "a (ESI+)", "2-c (ESI+)"
+    ]);
+    assert.deepEqual(getRows(sortPoints(makeChemicals(), "custom", { customOrder, descending: true })), [
+      "10-c (ESI+)", "b (ESI+)", "a (ESI+)", "2-c (ESI+)"
+    ]);
+  });
+
+  it("sorts the groups, then the rows within each group", () => {
+    const groups = { "a (ESI+)": "Pharma", "b (ESI+)": "PFAS", "2-c (ESI+)": "Pharma" };
+    const points = sortPoints(makeChemicals(), "ml", { getGroup: d => groups[d.chemical] ?? null });
+    assert.deepEqual(getRows(points), ["b (ESI+)", "a (ESI+)", "2-c (ESI+)", "10-c (ESI+)"]);
+  });
+});
+
+describe("summarizeChemicals", () => {
+  it("summarizes each dataset's points of a chemical apart", () => {
+    const points = [
+      ...makePoints("caffeine (ESI+)", [1, 2, 3]),
+      ...makePoints("caffeine (ESI+)", [5, 6]).map(d => ({ ...d, dataset: "second" }))
+    ];
+    const summary = summarizeChemicals(points);
+    assert.deepEqual(summary.map(row => [row.chemical, row.dataset, row.nPoints, row.median]), [
+      ["caffeine", null, 3, 2],
+      ["caffeine", "second", 2, 5.5]
+    ]);
+  });
+});